@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const rarity = require('../lib/rarity');
+const ipfs = require('../lib/ipfs');
+const provenance = require('../lib/provenance');
+const { BatchManifest, MANIFEST_FILE } = require('../lib/manifest');
+const { writePlan, readPlan, formatPlan } = require('../lib/plan');
+const { readCollection } = require('../lib/utils/collection');
+const DEFAULT_LAYER_CONFIG = require('../lib/config/defaultLayers');
+
+// Command line interface for working with generated collections
+// Usage: sb-generator <command> [arguments] [--options]
+
+const COMMANDS = {
+  plan: {
+    usage: 'plan [--count <n>] [--start-id <n>] [--config <file>] [--components <folder>] [--seed <seed>] [--species <name>] [--out <file.json>] [--top <n>]',
+    description: 'Dry run: select the traits of a batch without rendering and write the plan with its projected rarity (default out: plan.json)',
+    run: runPlan
+  },
+  generate: {
+    usage: 'generate [--count <n>] [--start-id <n>] [--config <file>] [--components <folder>] [--out <folder>] [--seed <seed>] [--species <name>] [--workers <n>] [--no-pixelated] [--plan <file.json>] [--manifest <file>] [--resume]',
+    description: 'Generate a batch (or render a plan), checkpointed in <out>/batch-manifest.jsonl; --resume skips completed ids, uploads rendered ones again and retries failed ones',
+    run: runGenerate
+  },
+  rarity: {
+    usage: 'rarity [folder] [--out <folder>] [--components <folder> | --config <file>] [--weights <file.json>] [--tolerance <n>] [--top <n>]',
+    description: 'Trait counts, rarity scores and ranks for generated metadata (writes rarity.json and CSVs)',
+    run: runRarity
+  },
+  ipfs: {
+    usage: 'ipfs [folder] [--out <folder>] [--extension <ext> | --no-extension]',
+    description: 'Offline CIDs and CAR files for the images and metadata, with metadata pointing at ipfs:// (default out: <folder>/ipfs)',
+    run: runIPFS
+  },
+  provenance: {
+    usage: 'provenance [folder] [--out <file.json>]',
+    description: 'Provenance hash of the final images and the hash of each image (default out: <folder>/provenance.json)',
+    run: runProvenance
+  },
+  reveal: {
+    usage: 'reveal [folder] --seed <seed> [--out <folder>] [--start-token-id <n>] [--provenance <hash>]',
+    description: 'Map generated ids to token ids by a starting index from the seed and write the renumbered metadata (default out: <folder>/revealed)',
+    run: runReveal
+  }
+};
+
+// Parse "--name value" and "--flag" options; everything else is a positional argument
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  
+  return { args, options };
+}
+
+function printUsage() {
+  console.log('Usage: sb-generator <command> [options]\n');
+  console.log('Commands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.description}`);
+  }
+}
+
+// Generator options come from --config (a JSON file or a module exporting the options, or a
+// function returning them, e.g. with a storage provider); command line options override them
+async function loadGeneratorConfig(options) {
+  let config = {};
+  if (options.config) {
+    const loaded = require(path.resolve(options.config));
+    config = { ...(typeof loaded === 'function' ? await loaded() : loaded) };
+  }
+  
+  if (options.out) config.outputFolder = options.out.endsWith('/') ? options.out : `${options.out}/`;
+  if (options.seed !== undefined) config.seed = options.seed;
+  if (options.workers !== undefined) config.workers = Number(options.workers);
+  if (options.components) {
+    const LocalStorage = require('../lib/storage/local');
+    config.storage = new LocalStorage({ root: options.components });
+  }
+  
+  if (!config.storage) {
+    throw new Error('No storage provider: pass --components <folder> or a --config with a storage provider');
+  }
+  return config;
+}
+
+// The generator is required by the commands that render, so the others don't need canvas
+function createGenerator(config) {
+  const Generator = require('../lib/generator');
+  return new Generator(config);
+}
+
+async function runPlan(args, options) {
+  // --out is the plan file here; the generator's output folder stays untouched
+  const generator = createGenerator(await loadGeneratorConfig({ ...options, out: undefined }));
+  const outFile = options.out || 'plan.json';
+  
+  const plan = await generator.plan(options.count !== undefined ? Number(options.count) : 1, {
+    startId: options['start-id'] !== undefined ? Number(options['start-id']) : 1,
+    species: options.species || 'random',
+    seed: options.seed
+  });
+  writePlan(plan, outFile);
+  
+  console.log(formatPlan(plan, { top: options.top ? Number(options.top) : undefined }));
+  console.log(`\n✅ Wrote the plan of ${plan.items.length} NFTs to ${outFile}; render it with: sb-generator generate --plan ${outFile}`);
+  return plan.failures.length > 0 ? 1 : 0;
+}
+
+async function runGenerate(args, options) {
+  const generator = createGenerator(await loadGeneratorConfig(options));
+  const manifestFile = options.manifest || path.join(generator.outputFolder, MANIFEST_FILE);
+  
+  // A resumed batch keeps the settings recorded in its manifest unless they are given again
+  let batch = {};
+  if (options.resume) {
+    batch = BatchManifest.load(manifestFile).batch;
+    if (!batch) {
+      throw new Error(`No batch manifest to resume from at ${manifestFile}`);
+    }
+  }
+  
+  // A plan brings its own ids
+  const planFile = options.plan || batch.plan;
+  const plan = planFile ? readPlan(planFile) : null;
+  
+  const count = plan ? plan.count : options.count !== undefined ? Number(options.count) : batch.count || 1;
+  const startId = plan ? plan.startId : options['start-id'] !== undefined ? Number(options['start-id']) : batch.startId || 1;
+  const summary = await generator.generateMultiple(count, {
+    startId,
+    species: options.species || batch.species || 'random',
+    includePixelated: options['no-pixelated'] ? false : batch.includePixelated !== false,
+    seed: options.seed ?? batch.seed ?? undefined,
+    manifest: manifestFile,
+    resume: Boolean(options.resume),
+    plan: planFile
+  });
+  
+  console.log(`\n✅ Generated ${summary.succeeded} NFTs${summary.skipped ? `, skipped ${summary.skipped} already completed` : ''}`);
+  if (summary.failed > 0) {
+    for (const { id, error } of summary.failures) {
+      console.log(`❌ #${id}: ${error}`);
+    }
+    console.log(`\n${summary.failed} NFTs failed; run again with --resume to retry them`);
+    return 1;
+  }
+  return 0;
+}
+
+async function runRarity(args, options) {
+  const folder = args[0] || './output/';
+  const outFolder = options.out || folder;
+  const entries = readCollection(folder);
+  if (entries.length === 0) {
+    throw new Error(`No NFT metadata found in ${folder}`);
+  }
+  
+  // Expected weights from the component listings, weighted like selection weighs them;
+  // --weights overrides them per trait type
+  let expected = {};
+  if (options.components || options.config) {
+    const config = await loadGeneratorConfig({ ...options, out: undefined });
+    expected = await rarity.expectedFromComponents(config.storage, config.layerConfig || DEFAULT_LAYER_CONFIG, rarity.countSpecies(entries));
+  }
+  if (options.weights) {
+    expected = { ...expected, ...JSON.parse(fs.readFileSync(options.weights, 'utf8')) };
+  }
+  
+  const report = rarity.analyzeRarity(entries, {
+    expected,
+    tolerance: options.tolerance !== undefined ? Number(options.tolerance) : undefined
+  });
+  
+  fs.mkdirSync(outFolder, { recursive: true });
+  fs.writeFileSync(path.join(outFolder, 'rarity.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outFolder, 'rarity_tokens.csv'), rarity.tokensToCSV(report));
+  fs.writeFileSync(path.join(outFolder, 'rarity_traits.csv'), rarity.traitsToCSV(report));
+  
+  console.log(rarity.formatSummary(report, { top: options.top ? Number(options.top) : undefined }));
+  console.log(`\n✅ Wrote rarity.json, rarity_tokens.csv and rarity_traits.csv to ${outFolder}`);
+}
+
+async function runIPFS(args, options) {
+  const folder = args[0] || './output/';
+  const summary = await ipfs.packageCollection(folder, {
+    out: options.out,
+    // "--extension ''" can't be passed through every shell; --no-extension drops it
+    extension: options['no-extension'] ? '' : options.extension
+  });
+  
+  console.log(`Images:   ${summary.imagesCid} (${summary.imagesCar})`);
+  console.log(`Metadata: ${summary.metadataCid} (${summary.metadataCar})`);
+  console.log(`Base URI: ${summary.baseURI}`);
+  console.log(`\n✅ Packaged ${summary.tokens.length} NFTs; pin both CAR files`);
+}
+
+async function runProvenance(args, options) {
+  const folder = args[0] || './output/';
+  const outFile = options.out || path.join(folder, 'provenance.json');
+  const result = provenance.computeProvenance(folder);
+  
+  fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+  console.log(`Provenance hash: ${result.provenance} (${result.count} images)`);
+  console.log(`\n✅ Wrote ${outFile}`);
+}
+
+async function runReveal(args, options) {
+  const folder = args[0] || './output/';
+  if (options.seed === undefined || options.seed === true) {
+    throw new Error('reveal needs --seed <seed>');
+  }
+  
+  const result = provenance.reveal(folder, options.seed, {
+    out: options.out,
+    startTokenId: options['start-token-id'] !== undefined ? Number(options['start-token-id']) : undefined,
+    provenance: options.provenance
+  });
+  
+  console.log(`Starting index: ${result.startingIndex} of ${result.tokens.length}`);
+  console.log(`\n✅ Wrote revealed metadata and reveal.json to ${result.out}`);
+}
+
+async function main(argv) {
+  const [commandName, ...rest] = argv;
+  const command = COMMANDS[commandName];
+  
+  if (!command) {
+    printUsage();
+    return commandName && commandName !== 'help' && commandName !== '--help' ? 1 : 0;
+  }
+  
+  const { args, options } = parseArgs(rest);
+  return (await command.run(args, options)) || 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+      console.error(`[ERROR] ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs };
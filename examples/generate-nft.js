@@ -6,10 +6,17 @@ async function run() {
   console.log('NFT Generator Example');
   
   try {
-    // Create a storage provider (Supabase or S3)
+    // Create a storage provider (Supabase, S3 or local folders)
     let nftStorage;
     
-    if (process.env.USE_S3 === 'true') {
+    if (process.env.USE_LOCAL === 'true') {
+      console.log('Using local storage provider');
+      nftStorage = storage.createLocalStorage({
+        root: process.env.COMPONENTS_DIR || './components',
+        outputDir: process.env.STORAGE_DIR || './storage',
+        debug: true
+      });
+    } else if (process.env.USE_S3 === 'true') {
       console.log('Using S3 storage provider');
       nftStorage = storage.createS3Storage({
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -45,12 +52,13 @@ async function run() {
     
     if (count > 1) {
       console.log(`Generating ${count} NFTs...`);
-      const results = await generator.generateMultiple(count, {
+      const batch = await generator.generateMultiple(count, {
         species: process.env.SPECIES || 'indigo',
         includePixelated: true
       });
       
-      console.log(`Generated ${results.length} NFTs successfully`);
+      console.log(`Generated ${batch.succeeded}/${batch.total} NFTs successfully`);
+      batch.failures.forEach(({ id, error }) => console.log(`Failed NFT #${id}: ${error}`));
     } else {
       console.log('Generating single NFT...');
       const result = await generator.generate(1, {
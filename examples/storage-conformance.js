@@ -0,0 +1,49 @@
+// Run the storage provider conformance suite against the built-in providers.
+// S3 and Supabase run against local stand-ins of their SDK clients, so no credentials are needed.
+// This is `npm test`; the providers are required directly, so it runs without canvas.
+const LocalStorage = require('../lib/storage/local');
+const S3Storage = require('../lib/storage/s3');
+const SupabaseStorage = require('../lib/storage/supabase');
+const InMemoryStorage = require('../lib/storage/memory');
+const { runConformance } = require('../lib/storage/conformance');
+const { createS3StandIn, createSupabaseStandIn } = require('../lib/storage/standins');
+
+const PROVIDERS = {
+  local: ({ componentsDir, outputDir }) => new LocalStorage({
+    root: componentsDir,
+    outputDir
+  }),
+  s3: ({ files }) => new S3Storage({
+    client: createS3StandIn({ 'space-babiez': files, 'nft-storage': {} }),
+    region: 'us-east-1'
+  }),
+  supabase: ({ files }) => new SupabaseStorage({
+    url: 'https://example.supabase.co',
+    client: createSupabaseStandIn({ 'space-babiez': files, 'nft-storage': {} })
+  }),
+  memory: ({ files }) => new InMemoryStorage({ components: files })
+};
+
+async function run() {
+  // e.g. `node examples/storage-conformance.js local`
+  const names = process.argv.slice(2).length > 0 ? process.argv.slice(2) : Object.keys(PROVIDERS);
+  let failed = 0;
+  
+  for (const name of names) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown provider: ${name}. Choose from ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const report = await runConformance(PROVIDERS[name], { name });
+    console.log(`${name}: ${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped\n`);
+    failed += report.failed;
+  }
+  
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+run().catch(error => {
+  console.error('Error running conformance suite:', error);
+  process.exitCode = 1;
+});
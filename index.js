@@ -6,6 +6,9 @@ const Jimp = require("jimp");
 const { createClient } = require("@supabase/supabase-js");
 // Load environment variables
 require('dotenv').config();
+const { BatchManifest, MANIFEST_FILE } = require("./lib/manifest");
+const { computeDNA } = require("./lib/dna");
+const { COMPONENT_MANIFEST, parseComponentManifest, applyComponentManifest, selectComponent } = require("./lib/utils/components");
 
 // Supabase Setup
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -166,6 +169,42 @@ if (!fs.existsSync(outputFolder)) fs.mkdirSync(outputFolder);
 // Create a tracking object to ensure we don't draw the same layer type twice
 const layerTracker = {};
 
+// Component manifest at the root of the bucket, loaded once
+let bucketManifestPromise = null;
+
+// Download and parse a component manifest from the components bucket
+async function downloadComponentManifest(manifestPath) {
+    const { data, error } = await supabase.storage.from("space-babiez").download(manifestPath);
+    if (error) {
+        console.error(`[ERROR] Failed to download component manifest ${manifestPath}:`, error);
+        throw error;
+    }
+    return parseComponentManifest(Buffer.from(await data.arrayBuffer()), manifestPath);
+}
+
+// Component manifests of a layer: manifest.json at the root of the bucket and in the layer folder
+async function loadComponentManifests(fullPath, layerFiles) {
+    if (!bucketManifestPromise) {
+        bucketManifestPromise = supabase.storage.from("space-babiez").list('', { search: COMPONENT_MANIFEST })
+            .then(({ data, error }) => {
+                if (error) throw error;
+                const found = (data || []).some(file => file.id !== null && file.name === COMPONENT_MANIFEST);
+                return found ? downloadComponentManifest(COMPONENT_MANIFEST) : null;
+            })
+            .catch(error => {
+                // Try again with the next layer
+                bucketManifestPromise = null;
+                throw error;
+            });
+    }
+    
+    const hasLayerManifest = layerFiles.some(file => file.name === COMPONENT_MANIFEST);
+    return {
+        bucket: await bucketManifestPromise,
+        layer: hasLayerManifest ? await downloadComponentManifest(`${fullPath}/${COMPONENT_MANIFEST}`) : null
+    };
+}
+
 // Move the getRandomComponent function declaration above where it's first used
 async function getRandomComponent(layerInfo, species) {
     const { category, type } = layerInfo;
@@ -196,7 +235,7 @@ async function getRandomComponent(layerInfo, species) {
     }
     
     // Accept both PNG and SVG files
-    const files = data
+    const imageFiles = data
         .filter(file => 
             file.name.toLowerCase().endsWith('.png') || 
             file.name.toLowerCase().endsWith('.svg') ||
@@ -208,10 +247,14 @@ async function getRandomComponent(layerInfo, species) {
             return {
                 url: `${SUPABASE_URL}/storage/v1/object/public/space-babiez/${fullPath}/${file.name}`,
                 type: fileType,
-                name: file.name
+                name: file.name,
+                trait: file.name.substring(0, file.name.lastIndexOf('.')) || file.name
             };
         });
     
+    // Display names, weights and disabled components come from the component manifests
+    const files = applyComponentManifest(imageFiles, fullPath, await loadComponentManifests(fullPath, data));
+    
     console.log(`[getRandomComponent] Filtered ${files.length} image files for layer: ${fullPath}`);
     
     if (files.length > 0) {
@@ -231,23 +274,22 @@ async function getRandomComponent(layerInfo, species) {
         throw new Error(`No image files found for layer: ${fullPath}. Please ensure you have image files in the ${fullPath} folder.`);
     }
     
-    // FIX: Decide which file type to use first, then select a random file from that subset
-    let selectedFile;
-    
-    // For base (head) and feature layers, prefer SVG if available
-    if ((type === "base" || type === "feature") && files.some(f => f.type === 'svg')) {
-        const svgFiles = files.filter(f => f.type === 'svg');
-        selectedFile = svgFiles[Math.floor(Math.random() * svgFiles.length)];
-        console.log(`[getRandomComponent] Selected SVG for ${category} layer: ${selectedFile.name}`);
-    } else {
-        // For other layers or if no SVG is available, select any file type
-        selectedFile = files[Math.floor(Math.random() * files.length)];
-        console.log(`[getRandomComponent] Selected: ${selectedFile.name} (${selectedFile.type})`);
+    // Weighted pick; base (head) and feature layers prefer SVG if available
+    const selectedFile = selectComponent(files, layerInfo, Math.random);
+    if (!selectedFile) {
+        if (layerInfo.optional) {
+            console.log(`[getRandomComponent] All components have zero weight for optional layer: ${fullPath}, skipping...`);
+            return null;
+        }
+        console.error(`[ERROR] All components have zero weight for layer: ${fullPath}`);
+        throw new Error(`All components have zero weight for layer: ${fullPath}`);
     }
+    console.log(`[getRandomComponent] Selected: ${selectedFile.name} (${selectedFile.type})`);
     
     return {
         url: selectedFile.url, 
         name: selectedFile.name,
+        trait: selectedFile.trait,
         category: category,
         type: type
     };
@@ -308,6 +350,8 @@ async function generate2DImage(id) {
         
         // Track all categories that have been drawn to prevent duplicates
         const drawnCategories = new Set();
+        // Drawn components, for the DNA (see lib/dna.js)
+        const selection = [];
         
         attributes.push({
             trait_type: "species",
@@ -334,10 +378,10 @@ async function generate2DImage(id) {
                     continue;
                 }
                 
-                const fileName = componentInfo.name;
-                const fileNameWithoutExt = fileName.substring(0, fileName.lastIndexOf('.')) || fileName;
+                // Display name from the component manifest, or the file name without its extension
+                const traitValue = componentInfo.trait;
                 
-                console.log(`[generate2DImage] Selected component: ${fileNameWithoutExt} for ${layerInfo.category}`);
+                console.log(`[generate2DImage] Selected component: ${traitValue} for ${layerInfo.category}`);
                 
                 // Draw this layer
                 const layerDrawn = await drawLayer(componentInfo, id);
@@ -349,12 +393,13 @@ async function generate2DImage(id) {
                 if (layerDrawn) {
                     // Track that this category has been drawn
                     drawnCategories.add(layerInfo.category);
+                    selection.push({ layerInfo, component: componentInfo });
                     
                     attributes.push({ 
                         trait_type: layerInfo.category, 
-                        value: fileNameWithoutExt 
+                        value: traitValue 
                     });
-                    console.log(`[generate2DImage] Added attribute: ${layerInfo.category}=${fileNameWithoutExt}`);
+                    console.log(`[generate2DImage] Added attribute: ${layerInfo.category}=${traitValue}`);
                     
                     // Save intermediate image if debugging is enabled
                     if (DEBUG.SAVE_INTERMEDIATE_LAYERS) {
@@ -375,6 +420,7 @@ async function generate2DImage(id) {
         }
 
         const nftPath = `${outputFolder}${species}_nft_${id}.png`;
+        const dna = computeDNA(species, selection);
         console.log(`[generate2DImage] Saving final generated image to: ${nftPath}`);
         
         try {
@@ -385,10 +431,10 @@ async function generate2DImage(id) {
             const altPath = `${outputFolder}fallback_${species}_${id}.png`;
             fs.writeFileSync(altPath, canvas.toBuffer("image/png"));
             console.log(`[generate2DImage] ✅ Saved to alternative path: ${altPath}`);
-            return { nftPath: altPath, attributes, species };
+            return { nftPath: altPath, attributes, species, dna };
         }
 
-        return { nftPath, attributes, species };
+        return { nftPath, attributes, species, dna };
     } catch (error) {
         console.error(`[CRITICAL ERROR] Failed to generate image: ${error.message}`);
         ctx.clearRect(0, 0, width, height);
@@ -648,8 +694,19 @@ async function generateNFT(id) {
     ctx.clearRect(0, 0, width, height);
     
     console.log(`[generateNFT] Step 1: Generating 2D image...`);
-    const { nftPath, attributes, species } = await generate2DImage(id);
+    const { nftPath, attributes, species, dna } = await generate2DImage(id);
     
+    try {
+        return await finishNFT(id, species, nftPath, attributes, dna);
+    } catch (error) {
+        // The batch manifest records the DNA of NFTs that fail after their traits were drawn
+        error.dna = dna;
+        throw error;
+    }
+}
+
+// Pixelate, upload and save a generated 2D image
+async function finishNFT(id, species, nftPath, attributes, dna) {
     // Check if the output file was successfully created
     if (!fs.existsSync(nftPath)) {
         console.error(`[ERROR] 2D image was not created: ${nftPath}`);
@@ -674,6 +731,14 @@ async function generateNFT(id) {
         pixelatedImagePath = pixelatedPath;
     }
     
+    const { nftUrl, pixelatedUrl, metadata, uploaded } = await uploadAndSaveNFT(id, species, nftPath, pixelatedImagePath, attributes);
+    console.log(`======= NFT #${id} GENERATION COMPLETE =======\n`);
+    
+    return { id, species, dna, nftPath, pixelatedImagePath, attributes, nftUrl, pixelatedUrl, metadata, uploaded };
+}
+
+// Upload both images and save the metadata; also used to re-upload NFTs of a resumed batch
+async function uploadAndSaveNFT(id, species, nftPath, pixelatedImagePath, attributes) {
     console.log(`[generateNFT] Step 3: Uploading 2D image to Supabase...`);
     const nftUrl = await uploadToSupabase(nftPath, "nft-storage", id);
     
@@ -690,9 +755,8 @@ async function generateNFT(id) {
     };
     fs.writeFileSync(`${outputFolder}${species}_nft_${id}.json`, JSON.stringify(metadata, null, 2));
     console.log(`[generateNFT] ✅ Metadata saved: ${outputFolder}${species}_nft_${id}.json`);
-    console.log(`======= NFT #${id} GENERATION COMPLETE =======\n`);
     
-    return { id, species, nftUrl, pixelatedUrl, metadata };
+    return { nftUrl, pixelatedUrl, metadata, uploaded: Boolean(nftUrl && pixelatedUrl) };
 }
 
 async function createBucketIfNotExists(bucketName, isPublic = true) {
@@ -879,24 +943,70 @@ async function checkComponentTransparency() {
     }
 }
 
-async function generateMultipleNFTs(count = 1) {
+// Generate a batch, checkpointing each id in output/batch-manifest.jsonl (see lib/manifest.js).
+// With resume, completed ids are skipped, NFTs that rendered but failed to upload are uploaded
+// again and failed ids are generated again
+async function generateMultipleNFTs(count = 1, resume = false) {
     console.log(`\n======= GENERATING ${count} NFTs =======`);
     
+    const manifestPath = path.join(outputFolder, MANIFEST_FILE);
+    const manifest = resume ? BatchManifest.load(manifestPath) : new BatchManifest(manifestPath);
+    if (resume) {
+        const { completed, rendered, failed } = manifest.summary();
+        console.log(`[Generator] Resuming ${manifestPath}: ${completed} completed, ${rendered} to upload again, ${failed} failed`);
+    }
+    manifest.start({ startId: 1, count });
+    
     const results = [];
+    let skipped = 0;
     
     for (let i = 1; i <= count; i++) {
+        const entry = resume ? manifest.get(i) : null;
+        if (entry && entry.status === 'completed') {
+            skipped++;
+            continue;
+        }
+        
         console.log(`\n[Generator] Starting NFT #${i} of ${count}`);
         try {
-            const result = await generateNFT(i);
+            let result;
+            const { rendered } = entry || {};
+            if (entry && entry.status === 'rendered' && fs.existsSync(rendered.nftPath) && fs.existsSync(rendered.pixelatedImagePath)) {
+                console.log(`[Generator] Uploading rendered NFT #${i} again`);
+                result = { id: i, species: entry.species, dna: entry.dna, ...rendered, ...(await uploadAndSaveNFT(i, entry.species, rendered.nftPath, rendered.pixelatedImagePath, rendered.attributes)) };
+            } else {
+                result = await generateNFT(i);
+            }
+            
+            manifest.record(i, {
+                status: result.uploaded ? 'completed' : 'rendered',
+                species: result.species,
+                dna: result.dna,
+                rendered: { nftPath: result.nftPath, pixelatedImagePath: result.pixelatedImagePath, attributes: result.attributes },
+                urls: result.uploaded ? { image: result.nftUrl, pixelated: result.pixelatedUrl } : null,
+                metadataPath: `${outputFolder}${result.species}_nft_${i}.json`,
+                error: result.uploaded ? null : 'Upload failed'
+            });
+            if (!result.uploaded) {
+                console.error(`[Generator] ❌ Failed to upload NFT #${i}; resume with RESUME=true to upload it again`);
+                continue;
+            }
             results.push(result);
             console.log(`[Generator] ✅ Completed NFT #${i} of ${count}`);
         } catch (error) {
             console.error(`[Generator] ❌ Failed to generate NFT #${i}:`, error);
+            manifest.record(i, {
+                status: 'failed',
+                species: entry ? entry.species : null,
+                dna: error.dna || (entry ? entry.dna : null),
+                error: error.message
+            });
         }
     }
     
     console.log(`\n======= COMPLETED GENERATING ${count} NFTs =======`);
-    console.log(`Successfully generated: ${results.length}/${count} NFTs`);
+    console.log(`Successfully generated: ${results.length}/${count - skipped} NFTs${skipped ? ` (${skipped} already completed)` : ''}`);
+    console.log(`Manifest: ${manifestPath}`);
     
     return results;
 }
@@ -944,13 +1054,15 @@ async function setupAndGenerateNFT() {
             console.log("   Example: FORCE_GENERATE=true node index.js");
             console.log("   To specify a species: FORCE_GENERATE=true SPECIES=green node index.js");
             console.log("   Available species: indigo, green, random");
+            console.log("   To continue an interrupted batch: RESUME=true FORCE_GENERATE=true COUNT=100 node index.js");
             return;
         }
         
         const count = process.env.COUNT ? parseInt(process.env.COUNT) : 1;
+        const resume = process.env.RESUME === 'true';
         
-        if (count > 1) {
-            await generateMultipleNFTs(count);
+        if (count > 1 || resume) {
+            await generateMultipleNFTs(count, resume);
         } else {
             await generateNFT(1);
         }
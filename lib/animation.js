@@ -0,0 +1,125 @@
+const { GifFrame, GifCodec, GifUtil } = require('gifwrap');
+const UPNG = require('upng-js');
+const WebP = require('node-webpmux');
+
+/**
+ * Animated NFT output
+ *
+ * A layer is animated when its selected component is a frame sequence:
+ * - a folder of frames in the category folder (e.g. `indigo/eyes/blink/001.png`, `002.png`, ...)
+ * - a sprite strip, declared with `animation: { frames: 8, layout: 'horizontal' }` in the
+ *   component's sidecar metadata or the layerConfig entry
+ *
+ * Animated and static layers are composed frame by frame; an animated layer with fewer
+ * frames than the animation loops over its own frames.
+ * @module animation
+ */
+
+// File extension of each output format; APNG keeps .png so it still opens as a static PNG
+const FORMATS = {
+  gif: 'gif',
+  apng: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Number of frames of a selected layer
+ * @param {Object} entry - Selected layer ({ layerInfo, component, sidecar })
+ * @returns {number} Frame count (1 for static layers)
+ */
+function getFrameCount({ layerInfo = {}, component, sidecar = {} }) {
+  if (component.frames && component.frames.length > 0) {
+    return component.frames.length;
+  }
+  const sprite = getSprite(layerInfo, sidecar);
+  return sprite ? sprite.frames : 1;
+}
+
+/**
+ * Where to draw a given frame of a selected layer from
+ * @param {Object} entry - Selected layer ({ layerInfo, component, sidecar })
+ * @param {number} frame - Animation frame index
+ * @returns {Object} `{ url, sprite }`; `sprite` is `{ index, frames, layout }` for sprite strips
+ */
+function getFrameSource({ layerInfo = {}, component, sidecar = {} }, frame) {
+  if (component.frames && component.frames.length > 0) {
+    return { url: component.frames[frame % component.frames.length], sprite: null };
+  }
+
+  const sprite = getSprite(layerInfo, sidecar);
+  if (sprite) {
+    return { url: component.url, sprite: { ...sprite, index: frame % sprite.frames } };
+  }
+  return { url: component.url, sprite: null };
+}
+
+/**
+ * Source rectangle of a sprite strip frame
+ * @param {Object} sprite - `{ index, frames, layout }`
+ * @param {number} width - Sprite strip width
+ * @param {number} height - Sprite strip height
+ * @returns {Object} `{ sx, sy, sw, sh }`
+ */
+function getSpriteRect(sprite, width, height) {
+  if (sprite.layout === 'vertical') {
+    const sh = height / sprite.frames;
+    return { sx: 0, sy: sh * sprite.index, sw: width, sh };
+  }
+  const sw = width / sprite.frames;
+  return { sx: sw * sprite.index, sy: 0, sw, sh: height };
+}
+
+/**
+ * Encode RGBA frames as an animation
+ * @param {Array<Buffer>} frames - RGBA pixel data, one buffer per frame
+ * @param {Object} options - Encoding options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {string} options.format - 'gif', 'apng' or 'webp' (default: 'gif')
+ * @param {Array<number>} options.delays - Duration of each frame in milliseconds
+ * @param {number} options.loop - Number of loops, 0 for infinite (default: 0)
+ * @returns {Promise<Buffer>} Encoded animation
+ */
+async function encodeAnimation(frames, options) {
+  const { width, height, format = 'gif', delays, loop = 0 } = options;
+
+  if (format === 'gif') {
+    const gifFrames = frames.map((data, i) => new GifFrame(width, height, Buffer.from(data), {
+      delayCentisecs: Math.max(1, Math.round(delays[i] / 10)),
+      disposalMethod: GifFrame.DisposeToBackgroundColor
+    }));
+    // GIF frames are limited to 256 colors
+    GifUtil.quantizeDekker(gifFrames, 256);
+    const gif = await new GifCodec().encodeGif(gifFrames, { loops: loop });
+    return gif.buffer;
+  }
+
+  if (format === 'apng') {
+    const buffers = frames.map(data => Uint8Array.from(data).buffer);
+    return Buffer.from(UPNG.encode(buffers, width, height, 0, delays));
+  }
+
+  if (format === 'webp') {
+    await WebP.Image.initLib();
+    const webpFrames = [];
+    for (let i = 0; i < frames.length; i++) {
+      const img = await WebP.Image.getEmptyImage();
+      await img.setImageData(Buffer.from(frames[i]), { width, height, lossless: 9 });
+      webpFrames.push(await WebP.Image.generateFrame({ img, delay: delays[i] }));
+    }
+    return WebP.Image.save(null, { frames: webpFrames, width, height, loops: loop, bgColor: [0, 0, 0, 0] });
+  }
+
+  throw new Error(`Unsupported animation format "${format}"; expected one of ${Object.keys(FORMATS).join(', ')}`);
+}
+
+/**
+ * @private
+ */
+function getSprite(layerInfo, sidecar) {
+  const animation = sidecar.animation || layerInfo.animation;
+  if (!animation || !(animation.frames > 1)) return null;
+  return { frames: animation.frames, layout: animation.layout || 'horizontal' };
+}
+
+module.exports = { getFrameCount, getFrameSource, getSpriteRect, encodeAnimation, FORMATS };
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { loadImage } = require('./utils/canvas');
+const { getFetch } = require('./utils/remote');
+
+/**
+ * Component asset cache
+ *
+ * Decoded component images are kept in an in-memory LRU, limited by image count and by their
+ * decoded size (width x height x 4 bytes). Downloads of http(s) URLs can also be kept on disk:
+ * each file is stored under the SHA-256 of its URL with its ETag and Last-Modified, and later
+ * runs revalidate it with a conditional request, so unchanged components are not downloaded
+ * again. When the request fails, the stored copy is used.
+ * @module assets
+ */
+
+const DEFAULT_OPTIONS = {
+  maxImages: 1000,
+  maxBytes: 512 * 1024 * 1024,
+  cacheDir: null,
+  maxDiskBytes: 1024 * 1024 * 1024,
+  revalidate: true,
+  readFile: null
+};
+
+class AssetCache {
+  /**
+   * Create an asset cache
+   * @param {Object} options - Cache options
+   * @param {number} options.maxImages - Decoded images kept in memory (default: 1000; 0 keeps none)
+   * @param {number} options.maxBytes - Decoded bytes kept in memory (default: 512 MB)
+   * @param {string} options.cacheDir - Folder for the on-disk cache of downloads (default: none)
+   * @param {number} options.maxDiskBytes - Size limit of the on-disk cache (default: 1 GB)
+   * @param {boolean} options.revalidate - Revalidate stored downloads with their ETag (default: true);
+   *   false uses them without a request
+   * @param {Function} options.readFile - Reads the bytes of a URL instead, e.g. a storage provider's readFile()
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.images = new Map();
+    this.pending = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, evictions: 0 };
+    this.disk = { hits: 0, revalidated: 0, downloads: 0, stale: 0, evictions: 0 };
+
+    if (this.options.cacheDir) {
+      fs.mkdirSync(this.options.cacheDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Decoded image of a URL, from the cache when possible
+   * @param {string} url - http(s) URL, file:// URL, local path or a URL served by `readFile`
+   * @returns {Promise<Image>} Decoded image
+   */
+  async loadImage(url) {
+    if (this.images.has(url)) {
+      this.counters.hits++;
+      // Move to the most recently used end
+      const entry = this.images.get(url);
+      this.images.delete(url);
+      this.images.set(url, entry);
+      return entry.image;
+    }
+
+    if (this.pending.has(url)) {
+      this.counters.hits++;
+      return this.pending.get(url);
+    }
+
+    this.counters.misses++;
+    const promise = this._decode(url)
+      .then(image => {
+        this._remember(url, image);
+        return image;
+      })
+      .finally(() => this.pending.delete(url));
+    this.pending.set(url, promise);
+    return promise;
+  }
+
+  /**
+   * Bytes of a URL; downloads go through the on-disk cache
+   * @param {string} url - http(s) URL, file:// URL, local path or a URL served by `readFile`
+   * @returns {Promise<Buffer>} File content
+   */
+  async read(url) {
+    if (this.options.readFile) {
+      return this.options.readFile(url);
+    }
+    if (/^https?:\/\//i.test(url)) {
+      return this._download(url);
+    }
+    return fs.readFileSync(url.startsWith('file:') ? fileURLToPath(url) : url);
+  }
+
+  /**
+   * Load images ahead of time
+   * @param {Array<string>} urls - Image URLs
+   * @param {Object} options - `concurrency`: parallel loads (default: 8)
+   * @returns {Promise<Object>} `{ loaded, failed: [{ url, error }] }`
+   */
+  async warm(urls, options = {}) {
+    const { concurrency = 8 } = options;
+    const queue = [...new Set(urls)];
+    const failed = [];
+    let loaded = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        try {
+          await this.loadImage(url);
+          loaded++;
+        } catch (error) {
+          failed.push({ url, error: error.message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+    return { loaded, failed };
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} `{ hits, misses, evictions, images, bytes, disk: { hits, revalidated, downloads, stale, evictions } }`
+   */
+  stats() {
+    return { ...this.counters, images: this.images.size, bytes: this.bytes, disk: { ...this.disk } };
+  }
+
+  /**
+   * Forget the decoded images; the on-disk cache stays
+   */
+  clear() {
+    this.images.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * @private
+   */
+  async _decode(url) {
+    if (this.options.readFile || /^https?:\/\//i.test(url)) {
+      return loadImage(await this.read(url));
+    }
+    // canvas loads paths, but not file:// URLs (e.g. from LocalStorage)
+    return loadImage(url.startsWith('file:') ? fileURLToPath(url) : url);
+  }
+
+  /**
+   * Add a decoded image and evict the least recently used ones over the limits
+   * @private
+   */
+  _remember(url, image) {
+    const size = image.width * image.height * 4;
+    if (this.options.maxImages <= 0 || size > this.options.maxBytes) {
+      return;
+    }
+
+    this.images.set(url, { image, size });
+    this.bytes += size;
+
+    while (this.images.size > this.options.maxImages || this.bytes > this.options.maxBytes) {
+      const [oldestUrl, oldest] = this.images.entries().next().value;
+      this.images.delete(oldestUrl);
+      this.bytes -= oldest.size;
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Download a URL, reusing and revalidating the on-disk copy
+   * @private
+   */
+  async _download(url) {
+    const { cacheDir, revalidate } = this.options;
+    const stored = cacheDir ? this._readStored(url) : null;
+
+    if (stored && !revalidate) {
+      this.disk.hits++;
+      return this._useStored(stored);
+    }
+
+    const headers = {};
+    if (stored && stored.etag) headers['If-None-Match'] = stored.etag;
+    if (stored && stored.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+    let response;
+    try {
+      const fetchFn = await getFetch();
+      response = await fetchFn(url, { headers });
+    } catch (error) {
+      if (!stored) throw error;
+      console.log(`[AssetCache] Using the cached copy of ${url}: ${error.message}`);
+      this.disk.stale++;
+      return this._useStored(stored);
+    }
+
+    if (response.status === 304 && stored) {
+      this.disk.revalidated++;
+      return this._useStored(stored);
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const content = Buffer.from(await response.arrayBuffer());
+    this.disk.downloads++;
+    if (cacheDir) {
+      this._store(url, content, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      });
+    }
+    return content;
+  }
+
+  /**
+   * On-disk entry of a URL: `{ file, url, etag, lastModified, size }`
+   * @private
+   */
+  _readStored(url) {
+    const file = path.join(this.options.cacheDir, sha256(url));
+    if (!fs.existsSync(file) || !fs.existsSync(`${file}.json`)) {
+      return null;
+    }
+    try {
+      return { file, ...JSON.parse(fs.readFileSync(`${file}.json`, 'utf8')) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read an on-disk entry and mark it as recently used
+   * @private
+   */
+  _useStored(stored) {
+    const now = new Date();
+    fs.utimesSync(stored.file, now, now);
+    return fs.readFileSync(stored.file);
+  }
+
+  /**
+   * @private
+   */
+  _store(url, content, validators) {
+    const file = path.join(this.options.cacheDir, sha256(url));
+    fs.writeFileSync(file, content);
+    fs.writeFileSync(`${file}.json`, JSON.stringify({ url, ...validators, size: content.length }, null, 2));
+    this._pruneDisk();
+  }
+
+  /**
+   * Delete the least recently used entries until the on-disk cache fits maxDiskBytes
+   * @private
+   */
+  _pruneDisk() {
+    const { cacheDir, maxDiskBytes } = this.options;
+    const entries = fs.readdirSync(cacheDir)
+      .filter(name => /^[0-9a-f]{64}$/.test(name))
+      .map(name => {
+        const stats = fs.statSync(path.join(cacheDir, name));
+        return { file: path.join(cacheDir, name), size: stats.size, used: stats.mtimeMs };
+      })
+      .sort((a, b) => a.used - b.used);
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= maxDiskBytes) break;
+      fs.rmSync(entry.file, { force: true });
+      fs.rmSync(`${entry.file}.json`, { force: true });
+      total -= entry.size;
+      this.disk.evictions++;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+AssetCache.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = AssetCache;
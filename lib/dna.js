@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { readCollection } = require('./utils/collection');
+
+/**
+ * Trait DNA: a canonical hash of an NFT's species and selected trait files,
+ * used to keep collections free of duplicates
+ * @module dna
+ */
+
+/**
+ * Compute the DNA of a trait selection
+ * @param {string} species - Species name
+ * @param {Array<Object>} selection - Selected layers ({ layerInfo, component, effect, color }) from Generator.selectComponents()
+ * @returns {string} Hex-encoded SHA-256 DNA
+ */
+function computeDNA(species, selection) {
+  // Sort by category so the DNA doesn't depend on layer order
+  const traits = selection
+    .map(({ layerInfo, component, effect, color }) => {
+      const parts = [`${layerInfo.category}:${component.name}`];
+      // Randomized variants make otherwise identical components distinct
+      if (color) parts.push(`color=${color.name}`);
+      if (effect && effect.randomized) parts.push(`effect=${effect.name}`);
+      return parts.join('/');
+    })
+    .sort();
+
+  return crypto
+    .createHash('sha256')
+    .update([`species:${species}`, ...traits].join('|'))
+    .digest('hex');
+}
+
+/**
+ * Registry of DNA already used in a collection
+ */
+class DNARegistry {
+  constructor() {
+    this.used = new Map();
+  }
+
+  /**
+   * @param {string} dna - DNA to look up
+   * @returns {boolean} True if the DNA is already used
+   */
+  has(dna) {
+    return this.used.has(dna);
+  }
+
+  /**
+   * Mark a DNA as used
+   * @param {string} dna - DNA to register
+   * @param {number|string} id - NFT id that owns it
+   */
+  add(dna, id) {
+    this.used.set(dna, id);
+  }
+
+  /**
+   * @param {string} dna - DNA to look up
+   * @returns {number|string|undefined} NFT id that owns the DNA
+   */
+  getOwner(dna) {
+    return this.used.get(dna);
+  }
+
+  /**
+   * Independent copy of the registry
+   * @returns {DNARegistry}
+   */
+  clone() {
+    const registry = new DNARegistry();
+    for (const [dna, id] of this.used) {
+      registry.add(dna, id);
+    }
+    return registry;
+  }
+
+  /**
+   * Number of registered DNA entries
+   * @returns {number}
+   */
+  get size() {
+    return this.used.size;
+  }
+
+  /**
+   * Load DNA from the metadata JSON of earlier runs
+   * @param {string} folder - Output folder containing metadata files
+   * @returns {number} Number of DNA entries loaded
+   */
+  loadFromFolder(folder) {
+    let loaded = 0;
+
+    for (const { id, metadata } of readCollection(folder)) {
+      if (!metadata.dna) continue;
+      this.add(metadata.dna, id);
+      loaded++;
+    }
+
+    return loaded;
+  }
+}
+
+/**
+ * Find NFTs in an output folder that share the same DNA
+ * @param {string} folder - Output folder containing metadata files
+ * @returns {Array<Object>} Duplicate groups with `dna` and `ids`
+ */
+function findDuplicateDNA(folder) {
+  const idsByDNA = new Map();
+
+  for (const { id, metadata } of readCollection(folder)) {
+    if (!metadata.dna) continue;
+    if (!idsByDNA.has(metadata.dna)) idsByDNA.set(metadata.dna, []);
+    idsByDNA.get(metadata.dna).push(id);
+  }
+
+  return [...idsByDNA.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([dna, ids]) => ({ dna, ids }));
+}
+
+module.exports = { computeDNA, DNARegistry, findDuplicateDNA };
@@ -0,0 +1,206 @@
+const { createCanvas } = require('./utils/canvas');
+const { pickWeighted } = require('./utils/components');
+
+/**
+ * Per-layer blend modes, opacity and filters
+ *
+ * Layers (in layerConfig) and components (in sidecar metadata) can set:
+ * - `blend`: canvas blend mode such as 'multiply', 'screen' or 'overlay' (default: 'normal')
+ * - `opacity`: 0-1 (default: 1)
+ * - `filters`: list of filters applied in order:
+ *   - `{ type: 'shadow', color, blur, offsetX, offsetY }`
+ *   - `{ type: 'glow', color, blur, strength }`
+ *   - `{ type: 'outline', color, width }`
+ * - `effects`: weighted list of named variants (`{ name, weight, blend, opacity, filters }`);
+ *   one is picked per NFT and recorded as the `<category>_effect` attribute
+ *
+ * Filter sizes are in pixels at the generator's width and height.
+ * @module effects
+ */
+
+const BLEND_MODES = {
+  'normal': 'source-over',
+  'multiply': 'multiply',
+  'screen': 'screen',
+  'overlay': 'overlay',
+  'darken': 'darken',
+  'lighten': 'lighten',
+  'color-dodge': 'color-dodge',
+  'color-burn': 'color-burn',
+  'hard-light': 'hard-light',
+  'soft-light': 'soft-light',
+  'difference': 'difference',
+  'exclusion': 'exclusion',
+  'hue': 'hue',
+  'saturation': 'saturation',
+  'color': 'color',
+  'luminosity': 'luminosity',
+  'add': 'lighter'
+};
+
+const FILTERS = {
+  shadow: applyShadow,
+  glow: applyGlow,
+  outline: applyOutline
+};
+
+/**
+ * Resolve the effect for a selected component, picking a random variant when
+ * the layer or component declares `effects`
+ * @param {Object} layerInfo - Layer information
+ * @param {Object} sidecar - Component sidecar metadata
+ * @param {Function} random - Random number generator
+ * @returns {Object} `{ name, randomized, blend, opacity, filters }`
+ */
+function resolveEffect(layerInfo = {}, sidecar = {}, random = Math.random) {
+  const effect = {
+    name: null,
+    randomized: false,
+    blend: sidecar.blend || layerInfo.blend || 'normal',
+    opacity: sidecar.opacity ?? layerInfo.opacity ?? 1,
+    filters: sidecar.filters || layerInfo.filters || []
+  };
+
+  const variants = sidecar.effects || layerInfo.effects;
+  if (variants && variants.length > 0) {
+    const variant = pickWeighted(variants, v => v.weight ?? 1, random);
+    if (variant) {
+      Object.assign(effect, {
+        name: variant.name,
+        randomized: true,
+        blend: variant.blend || effect.blend,
+        opacity: variant.opacity ?? effect.opacity,
+        filters: variant.filters || effect.filters
+      });
+    }
+  }
+
+  if (!BLEND_MODES[effect.blend]) {
+    throw new Error(`Invalid blend mode "${effect.blend}" for ${layerInfo.category}; expected one of ${Object.keys(BLEND_MODES).join(', ')}`);
+  }
+  for (const filter of effect.filters) {
+    if (!FILTERS[filter.type]) {
+      throw new Error(`Invalid filter "${filter.type}" for ${layerInfo.category}; expected one of ${Object.keys(FILTERS).join(', ')}`);
+    }
+  }
+
+  return effect;
+}
+
+/**
+ * Whether an effect changes how a layer is drawn
+ * @param {Object} effect - Resolved effect
+ * @returns {boolean}
+ */
+function hasEffect(effect) {
+  return Boolean(effect) && (
+    BLEND_MODES[effect.blend] !== 'source-over' ||
+    effect.opacity !== 1 ||
+    effect.filters.length > 0
+  );
+}
+
+/**
+ * Draw an image onto a context with an effect applied
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Image|Canvas} image - Image to draw
+ * @param {Object} rect - `{ x, y, width, height }` to draw the image into
+ * @param {Object} effect - Resolved effect
+ * @param {Object} options - `width`/`height` of the target canvas and `scale` for filter sizes
+ */
+function drawWithEffect(ctx, image, rect, effect, options = {}) {
+  const { width, height, scale = 1 } = options;
+
+  // Render the layer on its own canvas first so filters only see this layer
+  let layer = createCanvas(width, height);
+  layer.getContext('2d').drawImage(image, rect.x, rect.y, rect.width, rect.height);
+
+  for (const filter of effect.filters) {
+    layer = FILTERS[filter.type](layer, filter, scale);
+  }
+
+  ctx.save();
+  ctx.globalCompositeOperation = BLEND_MODES[effect.blend];
+  ctx.globalAlpha = effect.opacity;
+  ctx.drawImage(layer, 0, 0);
+  ctx.restore();
+}
+
+/**
+ * Fill the opaque pixels of a layer with a solid color
+ * @private
+ */
+function silhouette(layer, color) {
+  const canvas = createCanvas(layer.width, layer.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(layer, 0, 0);
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Draw a layer with a canvas shadow behind it
+ * @private
+ */
+function withShadow(layer, { color, blur, offsetX = 0, offsetY = 0, passes = 1 }, scale) {
+  const canvas = createCanvas(layer.width, layer.height);
+  const ctx = canvas.getContext('2d');
+
+  // Draw the layer off-canvas and shift its shadow back into view, so only the shadow lands
+  const shift = layer.width * 2;
+  ctx.shadowColor = color;
+  ctx.shadowBlur = blur * scale;
+  ctx.shadowOffsetX = offsetX * scale + shift;
+  ctx.shadowOffsetY = offsetY * scale;
+
+  // Each pass draws the shadow again, which strengthens it
+  for (let i = 0; i < passes; i++) {
+    ctx.drawImage(layer, -shift, 0);
+  }
+
+  ctx.shadowColor = 'transparent';
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetX = 0;
+  ctx.shadowOffsetY = 0;
+  ctx.drawImage(layer, 0, 0);
+  return canvas;
+}
+
+/**
+ * @private
+ */
+function applyShadow(layer, { color = 'rgba(0, 0, 0, 0.5)', blur = 8, offsetX = 4, offsetY = 4 }, scale) {
+  return withShadow(layer, { color, blur, offsetX, offsetY }, scale);
+}
+
+/**
+ * @private
+ */
+function applyGlow(layer, { color = 'rgba(255, 255, 255, 0.8)', blur = 12, strength = 2 }, scale) {
+  return withShadow(layer, { color, blur, passes: Math.max(1, Math.round(strength)) }, scale);
+}
+
+/**
+ * Draw a solid outline around the opaque pixels of a layer
+ * @private
+ */
+function applyOutline(layer, { color = '#000000', width = 2 }, scale) {
+  const outline = silhouette(layer, color);
+  const radius = Math.max(1, Math.round(width * scale));
+  const canvas = createCanvas(layer.width, layer.height);
+  const ctx = canvas.getContext('2d');
+
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (dx * dx + dy * dy <= radius * radius) {
+        ctx.drawImage(outline, dx, dy);
+      }
+    }
+  }
+  ctx.drawImage(layer, 0, 0);
+  return canvas;
+}
+
+module.exports = { resolveEffect, hasEffect, drawWithEffect, BLEND_MODES };
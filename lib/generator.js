@@ -1,27 +1,100 @@
 const fs = require("fs");
 const path = require("path");
-const { createCanvas, loadImage } = require("canvas");
+const { createCanvas } = require("./utils/canvas");
 const Jimp = require("jimp");
+const { createRandom, generateSeed, pick } = require("./utils/random");
+const { parseComponentName } = require("./utils/components");
+const RuleEngine = require("./rules");
+const { computeDNA, DNARegistry } = require("./dna");
+const { resolvePlacement, computeRect } = require("./placement");
+const { resolveEffect, hasEffect, drawWithEffect } = require("./effects");
+const { resolveColor, changesColors, recolorLayer } = require("./palette");
+const { getFrameCount, getFrameSource, getSpriteRect, encodeAnimation, FORMATS } = require("./animation");
+const { pixelateFrame } = require("./utils/image");
+const { composeSVG } = require("./svg");
+const { pixelArt, resolvePixelArtOptions, describePixelArt } = require("./pixelart");
+const { analyzeRarity, expectedFromLayerConfig, expectedFromComponents, countSpecies } = require("./rarity");
+const { readCollection } = require("./utils/collection");
+const { packageCollection } = require("./ipfs");
+const { computeProvenance, reveal } = require("./provenance");
+const { getContentType } = require("./utils/contentType");
+const { getFormatter, resolveMetadataOptions } = require("./metadata");
+const { getMissingMethods } = require("./storage/contract");
+const AssetCache = require("./assets");
+const WorkerPool = require("./workers/pool");
+const { BatchManifest, MANIFEST_FILE } = require("./manifest");
+const { PLAN_VERSION, projectDistribution, readPlan, planJob } = require("./plan");
+// Layers drawn when config.layerConfig is not given, bottom to top
+const DEFAULT_LAYER_CONFIG = require("./config/defaultLayers");
 
 class Generator {
   constructor(config = {}) {
     this.width = config.width || 512;
     this.height = config.height || 512;
-    this.canvas = createCanvas(this.width, this.height);
-    this.ctx = this.canvas.getContext("2d");
+    // Canvas for direct manipulation (getCanvas(), drawLayer() without a surface), created on first
+    // use; renders draw on canvases of their own
+    this.canvas = null;
+    this.ctx = null;
     this.outputFolder = config.outputFolder || "./output/";
     this.storage = config.storage;
-    this.availableSpecies = config.availableSpecies || ["indigo", "green"];
-    this.layerConfig = config.layerConfig || [
-      { category: "background", type: "background" },
-      { category: "head", type: "base" },
-      { category: "eyes", type: "feature" },
-      { category: "clothing", type: "outfit" },
-      { category: "neck", type: "accessory" },
-      { category: "hats", type: "accessory" },
-      { category: "binky", type: "accessory", optional: true },
-      { category: "special", type: "special", optional: true }
-    ];
+    // Providers missing contract methods still work for what they implement (see lib/storage/contract.js)
+    const missingMethods = this.storage ? getMissingMethods(this.storage) : [];
+    if (missingMethods.length > 0) {
+      console.log(`[Generator] Storage provider does not implement: ${missingMethods.join(", ")}`);
+    }
+    // Decoded component images shared by all NFTs (see lib/assets.js). config.assetCache is
+    // AssetCache options, an AssetCache shared between generators, or false to turn it off.
+    // Providers with their own URL scheme (e.g. memory:// of InMemoryStorage) serve the bytes
+    this.assetCache = config.assetCache instanceof AssetCache ? config.assetCache : new AssetCache({
+      ...(config.assetCache === false ? { maxImages: 0 } : config.assetCache),
+      readFile: this.storage && typeof this.storage.readFile === 'function' ? url => this.storage.readFile(url) : null
+    });
+    // Collection-wide seed; when unset every NFT gets a fresh seed recorded in its metadata
+    this.seed = config.seed;
+    this.availableSpecies = config.availableSpecies || config.species || ["indigo", "green"];
+    this.layerConfig = config.layerConfig || DEFAULT_LAYER_CONFIG.map(layer => ({ ...layer }));
+    
+    // Trait compatibility rules, see lib/rules.js
+    this.rules = new RuleEngine(config.rules || []);
+    this.maxRuleAttempts = config.maxRuleAttempts || 10;
+    
+    // DNA of every NFT generated so far, used to re-roll duplicate trait sets
+    this.uniqueDNA = config.uniqueDNA !== false;
+    this.maxDNAAttempts = config.maxDNAAttempts || 10;
+    this.dnaRegistry = new DNARegistry();
+    
+    // Named color variant lists that layers can reference, see lib/palette.js
+    this.palettes = config.palettes || {};
+    
+    // Component sidecar metadata by URL
+    this.sidecarCache = new Map();
+    
+    // Animated output, used when a selected layer has several frames (see lib/animation.js);
+    // false renders static images only
+    this.animation = config.animation === false ? null : {
+      format: 'gif',
+      frameDuration: 100,
+      loop: 0,
+      ...config.animation
+    };
+    if (this.animation && !FORMATS[this.animation.format]) {
+      throw new Error(`Unsupported animation format "${this.animation.format}"; expected one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    
+    // Also compose a scalable SVG from the selected components, see lib/svg.js
+    this.svg = config.svg || false;
+    
+    // Pixel-art pipeline for the pixelated version (grid, palette, dithering, outline), see
+    // lib/pixelart.js; when unset the pixelated version uses Jimp's pixelate()
+    this.pixelArt = config.pixelArt ? resolvePixelArtOptions(config.pixelArt) : null;
+    
+    // Extra sizes rendered from the source layers, e.g. { name: 'thumbnail', width: 128, height: 128 }
+    this.renditions = this.resolveRenditions(config.renditions || []);
+    
+    // Metadata standard ('legacy', 'erc721'/'opensea', 'erc1155', 'metaplex' or a custom
+    // formatter) and its options (name template, external URL, creators...), see lib/metadata.js
+    this.metadataFormatter = getFormatter(config.metadataFormat || 'legacy');
+    this.metadataOptions = resolveMetadataOptions(config.metadata);
     
     // Ensure output folder exists
     if (!fs.existsSync(this.outputFolder)) {
@@ -34,10 +107,42 @@ class Generator {
       saveIntermediateLayers: config.saveIntermediateLayers || false,
       showTransparencyInfo: config.showTransparencyInfo || false
     };
+    
+    // Worker threads rendering the NFTs of generateMultiple() in parallel (see lib/workers);
+    // 0 or 1 renders in this thread
+    this.workers = config.workers || 0;
+    
+    // Settings the render workers build their generator from; they are structured-cloned, so
+    // functions (e.g. an asset cache's readFile) stay here. Component bytes only this thread
+    // can read are sent along with each job instead
+    const { readFile, ...assetCacheOptions } = config.assetCache instanceof AssetCache
+      ? config.assetCache.options
+      : config.assetCache || {};
+    this.renderConfig = {
+      width: this.width,
+      height: this.height,
+      outputFolder: this.outputFolder,
+      animation: config.animation,
+      svg: config.svg,
+      pixelArt: config.pixelArt,
+      renditions: config.renditions,
+      skipPixelation: config.skipPixelation,
+      saveIntermediateLayers: config.saveIntermediateLayers,
+      showTransparencyInfo: config.showTransparencyInfo,
+      assetCache: config.assetCache === false ? false : assetCacheOptions,
+      readsAssets: Boolean(this.assetCache.options.readFile)
+    };
   }
 
   // Draw layer on canvas - CRITICAL function that was missing in exports
-  async drawLayer(imageInfo, id) {
+  // options.placement comes from resolvePlacement() and defaults to the layer type/category
+  // geometry; options.effect comes from resolveEffect() (blend mode, opacity, filters);
+  // options.color is a palette variant from resolveColor(); options.sprite selects a frame of a
+  // sprite strip; options.images memoizes loaded images by URL across animation frames;
+  // options.surface ({ ctx, width, height }) draws onto another canvas, e.g. a rendition
+  async drawLayer(imageInfo, id, options = {}) {
+    const { placement = null, effect = null, color = null, sprite = null, images = null } = options;
+    const { ctx, width, height } = options.surface || { ctx: this.getContext(), width: this.width, height: this.height };
     if (!imageInfo || !imageInfo.url) return false;
     
     const { url: imageUrl, category, type } = imageInfo;
@@ -48,70 +153,50 @@ class Generator {
       console.log(`[drawLayer] File type: ${isSvg ? 'SVG' : 'PNG/JPG'}`);
       
       try {
-        const image = await loadImage(imageUrl);
-        console.log(`[drawLayer] Image dimensions: ${image.width}x${image.height}, Canvas: ${this.width}x${this.height}`);
+        let image = await this.loadLayerImage(imageUrl, images);
+        if (sprite) {
+          image = this.cropSpriteFrame(image, sprite);
+        }
+        console.log(`[drawLayer] Image dimensions: ${image.width}x${image.height}, Canvas: ${width}x${height}`);
         
         // Set composite mode to draw new layers on top of existing content
-        this.ctx.globalCompositeOperation = 'source-over';
+        ctx.globalCompositeOperation = 'source-over';
         
-        let drawX = 0, drawY = 0, drawWidth, drawHeight;
+        const {
+          x: drawX,
+          y: drawY,
+          width: drawWidth,
+          height: drawHeight
+        } = computeRect(placement || resolvePlacement({ category, type }), image.width, image.height, width, height);
         
-        if (type === 'background') {
-          drawWidth = this.width;
-          drawHeight = this.height;
-        } 
-        else if (type === 'base') {
-          const scale = Math.min(this.width / image.width, this.height / image.height);
-          drawWidth = image.width * scale;
-          drawHeight = image.height * scale;
-          drawX = (this.width - drawWidth) / 2;
-          drawY = (this.height - drawHeight) * 0.4;
-        }
-        else if (type === 'feature') {
-          const scale = Math.min(this.width / image.width * 0.8, this.height / image.height * 0.5);
-          drawWidth = image.width * scale;
-          drawHeight = image.height * scale;
-          drawX = (this.width - drawWidth) / 2;
-          drawY = this.height * 0.3;
-        }
-        else if (type === 'outfit') {
-          const heightScale = Math.min(this.width / image.width * 0.9, this.height / image.height * 0.9);
-          const widthScale = heightScale * 1.15;
+        console.log(`[drawLayer] Drawing ${category} at: x=${drawX}, y=${drawY}, width=${drawWidth}, height=${drawHeight}`);
+        
+        try {
+          let source = image;
+          let rect = { x: drawX, y: drawY, width: drawWidth, height: drawHeight };
           
-          drawWidth = image.width * widthScale;
-          drawHeight = image.height * heightScale;
-          drawX = (this.width - drawWidth) / 2;
-          drawY = this.height * 0.1;
-        }
-        else {
-          const scale = Math.min(this.width / image.width * 0.7, this.height / image.height * 0.5);
-          drawWidth = image.width * scale;
-          drawHeight = image.height * scale;
-          drawX = (this.width - drawWidth) / 2;
+          // Recolor after scaling so SVG components keep their detail
+          if (changesColors(color)) {
+            console.log(`[drawLayer] Applying color variant to ${category}: ${color.name}`);
+            source = recolorLayer(image, rect, color, { width, height });
+            rect = { x: 0, y: 0, width, height };
+          }
           
-          if (category === 'hats') {
-            drawY = this.height * 0.05;
-          } else if (category === 'neck') {
-            drawY = this.height * 0.69;
-          } else if (category === 'binky') {
-            drawY = this.height * 0.4;
+          if (hasEffect(effect)) {
+            console.log(`[drawLayer] Applying effect to ${category}: blend=${effect.blend}, opacity=${effect.opacity}, filters=${effect.filters.map(f => f.type).join(',') || 'none'}`);
+            // Filter sizes are relative to the generator's width
+            drawWithEffect(ctx, source, rect, effect, { width, height, scale: width / this.width });
           } else {
-            drawY = this.height * 0.2;
+            ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height);
           }
-        }
-        
-        console.log(`[drawLayer] Drawing ${category} at: x=${drawX}, y=${drawY}, width=${drawWidth}, height=${drawHeight}`);
-        
-        try {
-          this.ctx.drawImage(image, drawX, drawY, drawWidth, drawHeight);
           console.log(`[drawLayer] ✅ Successfully drew ${category}`);
           return true;
         } catch (drawError) {
           console.error(`[ERROR] Failed to draw ${category}:`, drawError.message);
           
           if (type === 'background') {
-            this.ctx.fillStyle = '#FFFFFF';
-            this.ctx.fillRect(0, 0, this.width, this.height);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, width, height);
             return true;
           }
           return false;
@@ -120,8 +205,8 @@ class Generator {
         console.error(`[ERROR] Failed to load image from ${imageUrl}: ${imageError.message}`);
         
         if (type === 'background') {
-          this.ctx.fillStyle = '#FFFFFF';
-          this.ctx.fillRect(0, 0, this.width, this.height);
+          ctx.fillStyle = '#FFFFFF';
+          ctx.fillRect(0, 0, width, height);
           return true;
         }
         return false;
@@ -132,79 +217,293 @@ class Generator {
     }
   }
 
+  // Load an image, reusing an earlier load of the same URL when an images Map is given
+  async loadLayerImage(url, images = null) {
+    if (!images) {
+      return this.assetCache.loadImage(url);
+    }
+    
+    if (!images.has(url)) {
+      images.set(url, this.assetCache.loadImage(url));
+    }
+    return images.get(url);
+  }
+
+  // Read a component resource (sidecar metadata, SVG source); downloads go through the asset cache
+  async readResource(url) {
+    return this.assetCache.read(url);
+  }
+
+  // Preload every component image of the given species (default: all) into the asset cache,
+  // e.g. before a batch; needs a storage provider with listComponents()
+  async warmUp(species = this.availableSpecies) {
+    const speciesList = Array.isArray(species) ? species : [species];
+    if (!this.storage || typeof this.storage.listComponents !== 'function') {
+      throw new Error('Warming up the asset cache needs a storage provider with listComponents()');
+    }
+    
+    const urls = [];
+    for (const name of speciesList) {
+      for (const layerInfo of this.layerConfig) {
+        for (const component of await this.storage.listComponents(layerInfo, name)) {
+          urls.push(...(component.frames || [component.url]));
+        }
+      }
+    }
+    
+    const result = await this.assetCache.warm(urls);
+    console.log(`[warmUp] Loaded ${result.loaded} component images for ${speciesList.join(', ')}`);
+    for (const { url, error } of result.failed) {
+      console.error(`[ERROR] Failed to preload ${url}: ${error}`);
+    }
+    return result;
+  }
+
+  // Copy one frame of a sprite strip onto its own canvas
+  cropSpriteFrame(image, sprite) {
+    const { sx, sy, sw, sh } = getSpriteRect(sprite, image.width, image.height);
+    const frame = createCanvas(Math.round(sw), Math.round(sh));
+    frame.getContext('2d').drawImage(image, sx, sy, sw, sh, 0, 0, frame.width, frame.height);
+    return frame;
+  }
+
+  // Select a component for every layer in layerConfig order, re-rolling when
+  // the trait rules are broken. Returns [{ layerInfo, layerIndex, component, trait, sidecar, effect, color }].
+  async selectComponents(species, random = Math.random) {
+    let violations = [];
+    
+    for (let attempt = 1; attempt <= this.maxRuleAttempts; attempt++) {
+      const result = await this.trySelectComponents(species, random);
+      if (result.violations.length === 0) {
+        return result.selection;
+      }
+      
+      violations = result.violations;
+      console.log(`[selectComponents] Attempt ${attempt}/${this.maxRuleAttempts} broke trait rules, re-rolling: ${violations.join('; ')}`);
+    }
+    
+    throw new Error(`Could not select traits for ${species} that satisfy the trait rules after ${this.maxRuleAttempts} attempts: ${violations.join('; ')}`);
+  }
+
+  // Single selection pass; stops at the first layer that can't satisfy the rules
+  async trySelectComponents(species, random) {
+    const selection = [];
+    // category -> trait value, or null when the layer was skipped
+    const decided = new Map();
+    
+    for (let layerIndex = 0; layerIndex < this.layerConfig.length; layerIndex++) {
+      const layerInfo = this.layerConfig[layerIndex];
+      const { category } = layerInfo;
+      console.log(`[selectComponents] Processing layer (${layerIndex + 1}/${this.layerConfig.length}): ${category}`);
+      
+      if (decided.get(category)) {
+        console.log(`[selectComponents] Skipping ${category} - this category has already been processed`);
+        continue;
+      }
+      
+      // Let the storage provider drop candidates the rules reject up front
+      const filter = this.rules.isEmpty()
+        ? undefined
+        : file => this.rules.allows(decided, category, file.trait || parseComponentName(file.name).trait);
+      
+      let componentInfo = null;
+      let traitValue = null;
+      let violations = [];
+      
+      // Re-roll candidates that still break a rule (e.g. a provider that ignores the filter)
+      for (let roll = 1; roll <= this.maxRuleAttempts; roll++) {
+        let emptied = false;
+        try {
+          componentInfo = await this.getRandomComponent(layerInfo, species, random, filter);
+          // A required layer comes back empty when the rules reject all of its components
+          emptied = !componentInfo && !layerInfo.optional;
+        } catch (error) {
+          console.error(`[ERROR] Failed to select component for layer ${category}:`, error);
+          componentInfo = null;
+        }
+        
+        // Trait value is the component manifest's display name, or else the file name without
+        // its extension or rarity weight suffix
+        traitValue = componentInfo ? (componentInfo.trait || parseComponentName(componentInfo.name).trait) : null;
+        violations = this.rules.check(new Map(decided).set(category, traitValue));
+        
+        // The NFT can't go without a required layer, so the earlier choices have to be re-rolled
+        if (emptied) {
+          violations.push(`${category} is required but the trait rules reject all of its components`);
+        }
+        
+        if (violations.length === 0 || !componentInfo) break;
+      }
+      
+      if (violations.length > 0) {
+        return { selection, violations };
+      }
+      
+      decided.set(category, traitValue);
+      
+      if (!componentInfo) {
+        console.log(`[selectComponents] No component selected for ${category}, skipping...`);
+        continue;
+      }
+      
+      console.log(`[selectComponents] Selected component: ${traitValue} for ${category}`);
+      const sidecar = await this.loadComponentSidecar(componentInfo);
+      const effect = resolveEffect(layerInfo, sidecar, random);
+      if (effect.randomized) {
+        console.log(`[selectComponents] Selected effect: ${effect.name} for ${category}`);
+      }
+      const color = resolveColor(layerInfo, sidecar, this.palettes, random);
+      if (color) {
+        console.log(`[selectComponents] Selected color: ${color.name} for ${category}`);
+      }
+      selection.push({ layerInfo, layerIndex, component: componentInfo, trait: traitValue, sidecar, effect, color });
+    }
+    
+    return { selection, violations: [] };
+  }
+
+  // Load a component's sidecar metadata (e.g. placement overrides); cached per URL. Overrides
+  // from the component manifest win over the sidecar file
+  async loadComponentSidecar(component) {
+    const overrides = component.overrides || {};
+    if (!component.sidecarUrl) {
+      return { ...overrides };
+    }
+    
+    if (!this.sidecarCache.has(component.sidecarUrl)) {
+      const sidecar = this.readResource(component.sidecarUrl)
+        .then(content => JSON.parse(content.toString('utf8')))
+        .catch(error => {
+          console.error(`[ERROR] Failed to load sidecar metadata ${component.sidecarUrl}: ${error.message}`);
+          return {};
+        });
+      this.sidecarCache.set(component.sidecarUrl, sidecar);
+    }
+    return { ...(await this.sidecarCache.get(component.sidecarUrl)), ...overrides };
+  }
+
+  // Select components whose DNA hasn't been used yet in this collection and register it
+  async selectUniqueComponents(id, species, random = Math.random) {
+    for (let attempt = 1; attempt <= this.maxDNAAttempts; attempt++) {
+      const selection = await this.selectComponents(species, random);
+      const dna = computeDNA(species, selection);
+      const owner = this.dnaRegistry.getOwner(dna);
+      
+      // Re-generating an id may reproduce its own DNA
+      if (!this.uniqueDNA || owner === undefined || String(owner) === String(id)) {
+        this.dnaRegistry.add(dna, id);
+        return { selection, dna };
+      }
+      
+      console.log(`[selectUniqueComponents] Attempt ${attempt}/${this.maxDNAAttempts}: DNA ${dna} is already used by NFT #${owner}, re-rolling...`);
+    }
+    
+    throw new Error(`Could not find a unique trait combination for NFT #${id} (${species}) after ${this.maxDNAAttempts} attempts`);
+  }
+
+  // Load DNA from earlier runs' metadata so new NFTs don't duplicate them
+  loadExistingDNA(folder = this.outputFolder) {
+    const loaded = this.dnaRegistry.loadFromFolder(folder);
+    console.log(`[loadExistingDNA] Loaded ${loaded} DNA entries from ${folder}`);
+    return loaded;
+  }
+
+  // Expected trait weights of the component listings, weighted like selection weighs them (file
+  // name #<weight>, component manifests, layerConfig weights) and per species by the given token
+  // counts (default: the available species equally). Without a storage listing, the layerConfig
+  // weights manifests
+  async expectedWeights(species = this.availableSpecies) {
+    if (!this.storage || typeof this.storage.listComponents !== 'function') {
+      return expectedFromLayerConfig(this.layerConfig);
+    }
+    return expectedFromComponents(this.storage, this.layerConfig, species);
+  }
+
+  // Rarity report for the metadata in an output folder; the component listings' weights are the
+  // expected distribution unless options.expected is given (see lib/rarity.js)
+  async analyzeRarity(folder = this.outputFolder, options = {}) {
+    const entries = readCollection(folder);
+    const expected = options.expected || await this.expectedWeights(countSpecies(entries));
+    return analyzeRarity(entries, { ...options, expected });
+  }
+
+  // Package the images and metadata in an output folder as IPFS CAR files, offline; the
+  // metadata copies in the package point at ipfs://<cid> (see lib/ipfs.js)
+  async packageIPFS(folder = this.outputFolder, options = {}) {
+    return packageCollection(folder, options);
+  }
+
+  // Provenance hash of the final images, to publish before the reveal (see lib/provenance.js);
+  // source is an output folder, generateNFT() results or a generateMultiple() summary
+  computeProvenance(source = this.outputFolder) {
+    return computeProvenance(source);
+  }
+
+  // Remap generated ids to token ids by a starting index from the reveal seed, re-filling the
+  // configured name/description/external URL templates with the token ids
+  reveal(seed, source = this.outputFolder, options = {}) {
+    return reveal(source, seed, { metadata: this.metadataOptions, format: this.metadataFormatter, ...options });
+  }
+
   // Generate a 2D image based on randomly selected components
-  async generate2DImage(id, species) {
+  async generate2DImage(id, species, random = Math.random) {
     console.log(`[generate2DImage] Starting image generation for NFT #${id}...`);
     
+    species = species || this.getSpeciesToGenerate(random);
+    
+    // Selection errors (unsatisfiable trait rules, no unique combination left) propagate to the caller
+    const { selection, dna } = await this.selectUniqueComponents(id, species, random);
+    return { ...(await this.render2DImage(id, species, selection)), dna, selection };
+  }
+
+  // Draw the selected layers and save the static image, animation, SVG and renditions. Every
+  // call draws on a canvas of its own, returned as `canvas`, so concurrent NFTs don't overwrite
+  // each other
+  async render2DImage(id, species, selection) {
+    const canvas = createCanvas(this.width, this.height);
+    const ctx = canvas.getContext("2d");
+    const surface = { ctx, width: this.width, height: this.height };
+    
     try {
       if (!fs.existsSync(this.outputFolder)) {
-        console.log(`[generate2DImage] Creating output folder: ${this.outputFolder}`);
+        console.log(`[render2DImage] Creating output folder: ${this.outputFolder}`);
         fs.mkdirSync(this.outputFolder, { recursive: true });
       }
 
-      species = species || this.getSpeciesToGenerate();
-      console.log(`[generate2DImage] Generating NFT for species: ${species}`);
+      console.log(`[render2DImage] Generating NFT for species: ${species}`);
       
-      // Make sure the canvas is completely cleared at the start
-      this.ctx.clearRect(0, 0, this.width, this.height);
-      this.ctx.fillStyle = '#FFFFFF';
-      this.ctx.fillRect(0, 0, this.width, this.height);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, this.width, this.height);
       
       let attributes = [];
       let backgroundDrawn = false;
-      
-      // Track all categories that have been drawn to prevent duplicates
-      const drawnCategories = new Set();
+      // Images loaded for this NFT, reused by the animation frames
+      const images = new Map();
       
       attributes.push({
         trait_type: "species",
         value: species
       });
       
-      // Process layers in the defined order
-      for (let layerIndex = 0; layerIndex < this.layerConfig.length; layerIndex++) {
-        const layerInfo = this.layerConfig[layerIndex];
-        console.log(`[generate2DImage] Processing layer (${layerIndex + 1}/${this.layerConfig.length}): ${layerInfo.category}`);
-        
-        if (drawnCategories.has(layerInfo.category)) {
-          console.log(`[generate2DImage] Skipping ${layerInfo.category} - this category has already been processed`);
-          continue;
-        }
-        
+      // Draw the selected layers in the defined order
+      for (const entry of selection) {
+        const { layerInfo, layerIndex } = entry;
         try {
-          const componentInfo = await this.getRandomComponent(layerInfo, species);
-          
-          if (!componentInfo) {
-            console.log(`[generate2DImage] No component selected for ${layerInfo.category}, skipping...`);
-            continue;
-          }
-          
-          const fileName = componentInfo.name;
-          const fileNameWithoutExt = fileName.substring(0, fileName.lastIndexOf('.')) || fileName;
-          
-          console.log(`[generate2DImage] Selected component: ${fileNameWithoutExt} for ${layerInfo.category}`);
-          
-          // Draw this layer
-          const layerDrawn = await this.drawLayer(componentInfo, id);
+          // The static image shows the first frame of animated layers
+          const layerDrawn = await this.drawSelectedLayer(entry, id, { images, surface });
           
           if (layerInfo.category === 'background') {
             backgroundDrawn = layerDrawn;
           }
           
           if (layerDrawn) {
-            // Track that this category has been drawn
-            drawnCategories.add(layerInfo.category);
-            
-            attributes.push({ 
-              trait_type: layerInfo.category, 
-              value: fileNameWithoutExt 
-            });
+            attributes.push(...layerAttributes(entry));
             
             // Save intermediate image if debugging is enabled
             if (this.debug.saveIntermediateLayers) {
               const layerProgressPath = `${this.outputFolder}layer_${layerIndex + 1}_${layerInfo.category}_${id}.png`;
-              fs.writeFileSync(layerProgressPath, this.canvas.toBuffer("image/png"));
-              console.log(`[generate2DImage] 🔍 Saved progress after adding ${layerInfo.category} layer to ${layerProgressPath}`);
+              fs.writeFileSync(layerProgressPath, canvas.toBuffer("image/png"));
+              console.log(`[render2DImage] 🔍 Saved progress after adding ${layerInfo.category} layer to ${layerProgressPath}`);
             }
           }
         } catch (error) {
@@ -213,52 +512,308 @@ class Generator {
       }
 
       if (!backgroundDrawn) {
-        console.log(`[generate2DImage] No background was successfully drawn, ensuring white background`);
+        console.log(`[render2DImage] No background was successfully drawn, ensuring white background`);
       }
 
       const nftPath = `${this.outputFolder}${species}_nft_${id}.png`;
-      console.log(`[generate2DImage] Saving final generated image to: ${nftPath}`);
+      console.log(`[render2DImage] Saving final generated image to: ${nftPath}`);
+      
+      const staticImage = canvas.toBuffer("image/png");
+      const animation = await this.renderAnimation(selection, id, species, images);
+      const svgPath = this.svg ? await this.renderSVG(selection, id, species, images) : null;
+      const renditions = await this.renderRenditions(selection, id, species, images);
       
       try {
-        fs.writeFileSync(nftPath, this.canvas.toBuffer("image/png"));
-        console.log(`[generate2DImage] ✅ Generated 2D NFT Image: ${nftPath}`);
+        fs.writeFileSync(nftPath, staticImage);
+        console.log(`[render2DImage] ✅ Generated 2D NFT Image: ${nftPath}`);
       } catch (saveError) {
         console.error(`[ERROR] Failed to save image to ${nftPath}: ${saveError.message}`);
         const altPath = `${this.outputFolder}fallback_${species}_${id}.png`;
-        fs.writeFileSync(altPath, this.canvas.toBuffer("image/png"));
-        console.log(`[generate2DImage] ✅ Saved to alternative path: ${altPath}`);
-        return { nftPath: altPath, attributes, species };
+        fs.writeFileSync(altPath, staticImage);
+        console.log(`[render2DImage] ✅ Saved to alternative path: ${altPath}`);
+        return { nftPath: altPath, attributes, species, animation, svgPath, renditions, canvas };
       }
 
-      return { nftPath, attributes, species };
+      return { nftPath, attributes, species, animation, svgPath, renditions, canvas };
     } catch (error) {
       console.error(`[CRITICAL ERROR] Failed to generate image: ${error.message}`);
-      this.ctx.clearRect(0, 0, this.width, this.height);
-      this.ctx.fillStyle = '#FF00FF';
-      this.ctx.fillRect(0, 0, this.width, this.height);
+      ctx.clearRect(0, 0, this.width, this.height);
+      ctx.fillStyle = '#FF00FF';
+      ctx.fillRect(0, 0, this.width, this.height);
       
-      this.ctx.fillStyle = 'black';
-      this.ctx.font = '20px Arial';
-      this.ctx.textAlign = 'center';
-      this.ctx.fillText(`Error generating NFT #${id}`, this.width/2, this.height/2);
+      ctx.fillStyle = 'black';
+      ctx.font = '20px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(`Error generating NFT #${id}`, this.width/2, this.height/2);
       
       const emergencyPath = `${this.outputFolder}emergency_${id}.png`;
-      fs.writeFileSync(emergencyPath, this.canvas.toBuffer("image/png"));
-      console.log(`[generate2DImage] ⚠️ Created emergency fallback image: ${emergencyPath}`);
+      fs.writeFileSync(emergencyPath, canvas.toBuffer("image/png"));
+      console.log(`[render2DImage] ⚠️ Created emergency fallback image: ${emergencyPath}`);
       
       return { 
         nftPath: emergencyPath, 
         attributes: [{ trait_type: "error", value: "generation_failed" }],
-        species: "error" 
+        species: "error",
+        canvas
       };
     }
   }
 
-  async getRandomComponent(layerInfo, species) {
+  // Draw one frame of a selected layer; static layers look the same in every frame.
+  // options: frame (default 0), images and surface as for drawLayer()
+  async drawSelectedLayer(entry, id, options = {}) {
+    const { frame = 0, images = null, surface = null } = options;
+    const { layerInfo, component, sidecar, effect, color } = entry;
+    const placement = resolvePlacement(layerInfo, sidecar.placement);
+    const { url, sprite } = getFrameSource(entry, frame);
+    
+    return this.drawLayer({ ...component, url }, id, { placement, effect, color, sprite, images, surface });
+  }
+
+  // Render every frame when a selected layer is animated and save the encoded animation.
+  // Returns null for static NFTs, otherwise { path, format, frames, delays } where frames
+  // holds the RGBA pixel data of each frame
+  async renderAnimation(selection, id, species, images = null) {
+    const frameCounts = selection.map(entry => getFrameCount(entry));
+    const longest = Math.max(1, ...frameCounts);
+    if (!this.animation || longest < 2) {
+      return null;
+    }
+    
+    const { format, frameDuration, loop } = this.animation;
+    const frameCount = this.animation.frames || longest;
+    console.log(`[renderAnimation] Rendering ${frameCount} frames for NFT #${id}...`);
+    
+    const canvas = createCanvas(this.width, this.height);
+    const ctx = canvas.getContext("2d");
+    const surface = { ctx, width: this.width, height: this.height };
+    const frames = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+      ctx.clearRect(0, 0, this.width, this.height);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, this.width, this.height);
+      
+      for (const entry of selection) {
+        try {
+          await this.drawSelectedLayer(entry, id, { frame, images, surface });
+        } catch (error) {
+          console.error(`[ERROR] Failed to draw frame ${frame} of layer ${entry.layerInfo.category}:`, error);
+        }
+      }
+      frames.push(Buffer.from(ctx.getImageData(0, 0, this.width, this.height).data));
+    }
+    
+    // frameDuration is milliseconds per frame, or a list repeated over the frames
+    const delays = frames.map((frame, i) => Array.isArray(frameDuration)
+      ? frameDuration[i % frameDuration.length]
+      : frameDuration);
+    
+    const animationPath = `${this.outputFolder}${species}_nft_${id}_animated.${FORMATS[format]}`;
+    try {
+      await this.saveAnimation(frames, delays, animationPath);
+      console.log(`[renderAnimation] ✅ Generated ${format} animation: ${animationPath}`);
+    } catch (error) {
+      console.error(`[ERROR] Failed to save animation to ${animationPath}: ${error.message}`);
+      return null;
+    }
+    
+    return { path: animationPath, format, frames, delays };
+  }
+
+  // Render each configured rendition from the source layers at its own size, so thumbnails
+  // and print versions aren't resampled from the main image. Returns [{ name, width, height, path }]
+  async renderRenditions(selection, id, species, images = null) {
+    const renditions = [];
+    
+    for (const { name, width, height } of this.renditions) {
+      console.log(`[renderRenditions] Rendering ${name} (${width}x${height}) for NFT #${id}...`);
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, width, height);
+      
+      for (const entry of selection) {
+        try {
+          await this.drawSelectedLayer(entry, id, { images, surface: { ctx, width, height } });
+        } catch (error) {
+          console.error(`[ERROR] Failed to draw layer ${entry.layerInfo.category} for rendition ${name}:`, error);
+        }
+      }
+      
+      const renditionPath = `${this.outputFolder}${species}_nft_${id}_${name}.png`;
+      try {
+        fs.writeFileSync(renditionPath, canvas.toBuffer("image/png"));
+        console.log(`[renderRenditions] ✅ Generated ${name} rendition: ${renditionPath}`);
+        renditions.push({ name, width, height, path: renditionPath });
+      } catch (error) {
+        console.error(`[ERROR] Failed to save rendition to ${renditionPath}: ${error.message}`);
+      }
+    }
+    
+    return renditions;
+  }
+
+  // Validate the renditions config; `size` is shorthand for a square rendition
+  resolveRenditions(renditions) {
+    const reserved = ["2D", "pixelated", "svg", "animation", "animation_pixelated"];
+    const names = new Set();
+    
+    return renditions.map(({ name, size, width = size, height = size ?? width }) => {
+      if (!name || !/^[\w-]+$/.test(name)) {
+        throw new Error(`Invalid rendition name "${name}"; use letters, digits, "_" and "-"`);
+      }
+      if (reserved.includes(name) || names.has(name)) {
+        throw new Error(`Rendition name "${name}" is already used`);
+      }
+      if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error(`Rendition "${name}" needs a positive integer width and height (or size)`);
+      }
+      names.add(name);
+      return { name, width, height };
+    });
+  }
+
+  // Compose the selected layers into an SVG file with the same placement and z-order as the
+  // raster image. SVG components stay vectors; bitmaps, and layers with a color variant
+  // (recolored like the raster image), are embedded as images. Returns the file path
+  async renderSVG(selection, id, species, images = null) {
+    console.log(`[renderSVG] Composing SVG for NFT #${id}...`);
+    const layers = [];
+    
+    for (const entry of selection) {
+      const { layerInfo, sidecar, effect, color } = entry;
+      const { url, sprite } = getFrameSource(entry, 0);
+      
+      try {
+        const image = await this.loadLayerImage(url, images);
+        const frame = sprite ? this.cropSpriteFrame(image, sprite) : image;
+        const rect = computeRect(resolvePlacement(layerInfo, sidecar.placement), frame.width, frame.height, this.width, this.height);
+        const layer = { category: layerInfo.category, rect, effect, sourceWidth: image.width, sourceHeight: image.height };
+        
+        if (changesColors(color)) {
+          const recolored = recolorLayer(frame, rect, color, { width: this.width, height: this.height });
+          Object.assign(layer, {
+            content: recolored.toBuffer("image/png"),
+            isSvg: false,
+            rect: { x: 0, y: 0, width: this.width, height: this.height },
+            sourceWidth: this.width,
+            sourceHeight: this.height
+          });
+        } else {
+          Object.assign(layer, {
+            content: await this.readResource(url),
+            isSvg: url.toLowerCase().endsWith('.svg'),
+            mimeType: getContentType(url),
+            crop: sprite ? getSpriteRect(sprite, image.width, image.height) : null
+          });
+        }
+        layers.push(layer);
+      } catch (error) {
+        console.error(`[ERROR] Failed to add ${layerInfo.category} to the SVG: ${error.message}`);
+      }
+    }
+    
+    const svgPath = `${this.outputFolder}${species}_nft_${id}.svg`;
+    try {
+      fs.writeFileSync(svgPath, composeSVG(layers, { width: this.width, height: this.height }));
+      console.log(`[renderSVG] ✅ Generated SVG: ${svgPath}`);
+      return svgPath;
+    } catch (error) {
+      console.error(`[ERROR] Failed to save SVG to ${svgPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Encode RGBA frames in the configured animation format and write them to outputPath
+  async saveAnimation(frames, delays, outputPath) {
+    const { format, loop } = this.animation;
+    const buffer = await encodeAnimation(frames, { width: this.width, height: this.height, format, delays, loop });
+    fs.writeFileSync(outputPath, buffer);
+    return outputPath;
+  }
+
+  // Pixelate every frame of an animation and save it like the static pixelated image;
+  // in pixel-art mode each frame is re-rendered from options.selection
+  async pixelateAnimation(animation, outputPath, options = {}) {
+    const { pixelSize = 8, selection = null, id = null } = options;
+    console.log(`[pixelateAnimation] Pixelating ${animation.frames.length} frames...`);
+    
+    try {
+      let frames = animation.frames;
+      if (this.pixelArt && selection && !this.debug.skipPixelation) {
+        const images = new Map();
+        frames = [];
+        for (let frame = 0; frame < animation.frames.length; frame++) {
+          frames.push(await this.renderPixelArtFrame(selection, id, { frame, images }));
+        }
+      } else if (!this.debug.skipPixelation) {
+        frames = animation.frames.map(frame => pixelateFrame(frame, this.width, this.height, pixelSize));
+      }
+      
+      await this.saveAnimation(frames, animation.delays, outputPath);
+      console.log(`[pixelateAnimation] ✅ Pixelated animation saved to: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.error(`[ERROR] Failed to pixelate animation: ${animation.path}`, error);
+      return null;
+    }
+  }
+
+  async getRandomComponent(layerInfo, species, random = Math.random, filter) {
     if (!this.storage) {
       throw new Error("Storage provider not configured. Please set up a storage provider.");
     }
-    return await this.storage.getRandomComponent(layerInfo, species);
+    return await this.storage.getRandomComponent(layerInfo, species, { random, filter });
+  }
+
+  // Render one frame of the selection as pixel art. The background layers are the backdrop;
+  // the other layers form the sprite that gets outlined
+  async renderPixelArtFrame(selection, id, options = {}) {
+    const { frame = 0, images = null } = options;
+    const { width, height } = this;
+    
+    const renderLayers = async (entries, background) => {
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      if (background) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+      }
+      for (const entry of entries) {
+        try {
+          await this.drawSelectedLayer(entry, id, { frame, images, surface: { ctx, width, height } });
+        } catch (error) {
+          console.error(`[ERROR] Failed to draw layer ${entry.layerInfo.category} for pixel art:`, error);
+        }
+      }
+      return ctx.getImageData(0, 0, width, height).data;
+    };
+    
+    const isBackground = entry => entry.layerInfo.type === 'background';
+    const backdrop = await renderLayers(selection.filter(isBackground), true);
+    const sprite = await renderLayers(selection.filter(entry => !isBackground(entry)), false);
+    
+    return pixelArt({ data: sprite, width, height, backdrop }, this.pixelArt).data;
+  }
+
+  // Render the selection as pixel art and save it as a PNG
+  async renderPixelArt(selection, id, outputPath, images = null) {
+    console.log(`[renderPixelArt] Rendering pixel art for NFT #${id}...`);
+    
+    try {
+      const data = await this.renderPixelArtFrame(selection, id, { images });
+      const canvas = createCanvas(this.width, this.height);
+      const ctx = canvas.getContext("2d");
+      const imageData = ctx.createImageData(this.width, this.height);
+      imageData.data.set(data);
+      ctx.putImageData(imageData, 0, 0);
+      fs.writeFileSync(outputPath, canvas.toBuffer("image/png"));
+      console.log(`[renderPixelArt] ✅ Pixel art saved to: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      console.error(`[ERROR] Failed to render pixel art for NFT #${id}:`, error);
+      return null;
+    }
   }
 
   // Pixelate an image
@@ -302,14 +857,45 @@ class Generator {
   }
 
   // Generate complete NFT with metadata
-  async generateNFT(id, speciesOverride = null) {
+  // options.seed overrides the generator seed for this NFT only;
+  // options.includePixelated = false skips the pixelated version
+  async generateNFT(id, speciesOverride = null, options = {}) {
+    const job = await this.prepareNFT(id, speciesOverride, options);
+    return this.completeNFT(job, await this.renderNFT(job));
+  }
+
+  // Pick the species and components of an NFT and register its DNA. Returns the job that
+  // renderNFT() draws; batches prepare their jobs in id order, so rendering them on worker
+  // threads (see lib/workers) gives the same NFTs as a serial run
+  async prepareNFT(id, speciesOverride = null, options = {}) {
+    const { includePixelated = true } = options;
     console.log(`\n======= GENERATING NFT #${id} =======`);
     
-    this.ctx.clearRect(0, 0, this.width, this.height);
+    const { seed, species, dna, selection } = await this.selectNFT(id, speciesOverride, options.seed);
+    return { id, seed, species, dna, selection, includePixelated };
+  }
+
+  // Seed, species and unique components of an NFT; no images are loaded
+  async selectNFT(id, speciesOverride = null, seedOverride = undefined) {
+    // Every random choice for this NFT derives from (seed, id), so it can be re-created later
+    const seed = seedOverride ?? this.seed ?? generateSeed();
+    const random = createRandom(`${seed}:${id}`);
+    console.log(`[selectNFT] Using seed: ${seed}`);
+    
+    const species = speciesOverride || this.getSpeciesToGenerate(random);
+    // Selection errors (unsatisfiable trait rules, no unique combination left) propagate to the caller
+    const { selection, dna } = await this.selectUniqueComponents(id, species, random);
+    
+    return { seed, species, dna, selection };
+  }
+
+  // Render the images of a prepared NFT: the 2D image, animation, SVG, renditions and the
+  // pixelated versions. The result only holds paths and attributes, so it can come from a worker thread
+  async renderNFT(job) {
+    const { id, species, selection, includePixelated } = job;
     
     console.log(`[generateNFT] Step 1: Generating 2D image...`);
-    const species = speciesOverride || this.getSpeciesToGenerate();
-    const { nftPath, attributes } = await this.generate2DImage(id, species);
+    const { nftPath, attributes, animation, svgPath, renditions = [] } = await this.render2DImage(id, species, selection);
     
     // Check if the output file was successfully created
     if (!fs.existsSync(nftPath)) {
@@ -317,72 +903,490 @@ class Generator {
       throw new Error(`Failed to create 2D image at ${nftPath}`);
     }
     
-    console.log(`[generateNFT] Step 2: Creating pixelated version...`);
-    const pixelatedPath = `${this.outputFolder}${species}_nft_${id}_pixelated.png`;
-    let pixelatedImagePath;
+    let pixelatedImagePath = null;
+    let pixelatedAnimationPath = null;
+    // Pixel-art settings recorded in the metadata when the pixel-art pipeline made the pixelated version
+    let pixelArtSettings = null;
     
-    try {
-      pixelatedImagePath = await this.pixelateImage(nftPath, pixelatedPath);
-      if (!pixelatedImagePath || !fs.existsSync(pixelatedImagePath)) {
-        console.error(`[ERROR] Pixelation failed. Falling back to original image.`);
+    if (includePixelated) {
+      console.log(`[generateNFT] Step 2: Creating pixelated version...`);
+      const pixelatedPath = `${this.outputFolder}${species}_nft_${id}_pixelated.png`;
+      
+      // Pixel-art mode re-renders from the layers so the sprite can be outlined against the background
+      const usePixelArt = Boolean(this.pixelArt && selection && !this.debug.skipPixelation);
+      
+      try {
+        pixelatedImagePath = usePixelArt
+          ? await this.renderPixelArt(selection, id, pixelatedPath)
+          : await this.pixelateImage(nftPath, pixelatedPath);
+        if (usePixelArt && pixelatedImagePath) {
+          pixelArtSettings = describePixelArt(this.pixelArt, this.width, this.height);
+        }
+        if (!pixelatedImagePath || !fs.existsSync(pixelatedImagePath)) {
+          console.error(`[ERROR] Pixelation failed. Falling back to original image.`);
+          fs.copyFileSync(nftPath, pixelatedPath);
+          pixelatedImagePath = pixelatedPath;
+        }
+      } catch (pixelateError) {
+        console.error(`[ERROR] Exception during pixelation: ${pixelateError.message}`);
         fs.copyFileSync(nftPath, pixelatedPath);
         pixelatedImagePath = pixelatedPath;
       }
-    } catch (pixelateError) {
-      console.error(`[ERROR] Exception during pixelation: ${pixelateError.message}`);
-      fs.copyFileSync(nftPath, pixelatedPath);
-      pixelatedImagePath = pixelatedPath;
+      
+      if (animation) {
+        pixelatedAnimationPath = await this.pixelateAnimation(
+          animation,
+          `${this.outputFolder}${species}_nft_${id}_animated_pixelated.${FORMATS[animation.format]}`,
+          { selection, id }
+        );
+      }
+    } else {
+      console.log(`[generateNFT] Step 2: Skipping pixelated version (includePixelated=false)`);
     }
     
+    return {
+      nftPath,
+      attributes,
+      svgPath,
+      renditions,
+      // The frames were only needed for the pixelated animation
+      animation: animation ? { path: animation.path, format: animation.format } : null,
+      pixelatedImagePath,
+      pixelatedAnimationPath,
+      pixelArtSettings
+    };
+  }
+
+  // Upload the rendered files of an NFT and write its metadata
+  async completeNFT(job, rendered) {
+    const { id, seed, species, dna } = job;
+    const { nftPath, attributes, svgPath, renditions, animation, pixelatedImagePath, pixelatedAnimationPath, pixelArtSettings } = rendered;
+    
     let nftUrl = nftPath;
     let pixelatedUrl = pixelatedImagePath;
+    let svgUrl = svgPath;
+    const renditionUrls = {};
+    for (const rendition of renditions) {
+      renditionUrls[rendition.name] = rendition.path;
+    }
+    let animationUrl = animation ? animation.path : null;
+    let pixelatedAnimationUrl = pixelatedAnimationPath;
+    // Set when an upload fails; the metadata then points at the local files
+    let uploadError = null;
     
     // Upload to storage if a provider is configured
     if (this.storage && typeof this.storage.uploadFile === 'function') {
       console.log(`[generateNFT] Step 3: Uploading images to storage...`);
       try {
         nftUrl = await this.storage.uploadFile(nftPath, `nfts/${species}/${id}/image.png`);
-        pixelatedUrl = await this.storage.uploadFile(pixelatedImagePath, `nfts/${species}/${id}/image_pixelated.png`);
-      } catch (uploadError) {
-        console.error(`[ERROR] Upload failed: ${uploadError.message}`);
+        if (pixelatedImagePath) {
+          pixelatedUrl = await this.storage.uploadFile(pixelatedImagePath, `nfts/${species}/${id}/image_pixelated.png`);
+        }
+        if (svgPath) {
+          svgUrl = await this.storage.uploadFile(svgPath, `nfts/${species}/${id}/image.svg`);
+        }
+        for (const rendition of renditions) {
+          renditionUrls[rendition.name] = await this.storage.uploadFile(rendition.path, `nfts/${species}/${id}/${rendition.name}.png`);
+        }
+        if (animation) {
+          const extension = FORMATS[animation.format];
+          animationUrl = await this.storage.uploadFile(animation.path, `nfts/${species}/${id}/animation.${extension}`);
+          if (pixelatedAnimationPath) {
+            pixelatedAnimationUrl = await this.storage.uploadFile(pixelatedAnimationPath, `nfts/${species}/${id}/animation_pixelated.${extension}`);
+          }
+        }
+      } catch (error) {
+        console.error(`[ERROR] Upload failed: ${error.message}`);
+        uploadError = error.message;
       }
     }
 
     console.log(`[generateNFT] Step 4: Creating and saving metadata...`);
-    const metadata = {
-      id,
-      name: `${species.charAt(0).toUpperCase() + species.slice(1)} Babiez #${id}`,
-      description: `Generated ${species} Space Babiez NFT with 2D and pixel art`,
-      images: { "2D": nftUrl, "pixelated": pixelatedUrl },
-      attributes
-    };
+    const images = { "2D": nftUrl };
+    if (pixelatedUrl) {
+      images.pixelated = pixelatedUrl;
+    }
+    if (svgUrl) {
+      images.svg = svgUrl;
+    }
+    Object.assign(images, renditionUrls);
+    if (animationUrl) {
+      images.animation = animationUrl;
+    }
+    if (pixelatedAnimationUrl) {
+      images.animation_pixelated = pixelatedAnimationUrl;
+    }
+    
+    const token = { id, species, seed, dna, attributes, images, animationUrl, pixelArt: pixelArtSettings };
+    const metadata = this.metadataFormatter.format(token, this.metadataOptions);
     
-    const metadataPath = `${this.outputFolder}${species}_nft_${id}.json`;
+    const metadataPath = `${this.outputFolder}${this.metadataFormatter.fileName(token)}`;
     fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
     console.log(`[generateNFT] ✅ Metadata saved: ${metadataPath}`);
     console.log(`======= NFT #${id} GENERATION COMPLETE =======\n`);
     
-    return { id, species, nftUrl, pixelatedUrl, metadata };
+    return {
+      id,
+      species,
+      nftPath,
+      pixelatedPath: pixelatedImagePath,
+      nftUrl,
+      pixelatedUrl,
+      svgPath,
+      svgUrl,
+      renditions: renditions.map(rendition => ({ ...rendition, url: renditionUrls[rendition.name] })),
+      animationPath: animation ? animation.path : null,
+      pixelatedAnimationPath,
+      animationUrl,
+      pixelatedAnimationUrl,
+      metadataPath,
+      metadata,
+      uploadError
+    };
+  }
+
+  // Generate a single NFT (documented public API)
+  // options: species ('random' or a species name), includePixelated, seed
+  async generate(id, options = {}) {
+    const { species = 'random', includePixelated = true, seed } = options;
+    const speciesOverride = species === 'random' ? null : species;
+    
+    return this.generateNFT(id, speciesOverride, { includePixelated, seed });
+  }
+
+  // Generate a batch of NFTs with consecutive ids starting at options.startId (default 1).
+  // Failures don't stop the batch; returns { total, succeeded, failed, skipped, results, failures }.
+  // Progress is checkpointed in a manifest (see lib/manifest.js): options.manifest is its path
+  // (default: batch-manifest.jsonl in the output folder) or false. options.resume skips the ids
+  // the manifest lists as completed, uploads the rendered ones again and retries the rest.
+  // options.plan (a plan or its path, see plan()) renders the planned selections instead of
+  // selecting again. With config.workers > 1 the NFTs are rendered on worker threads (see lib/workers)
+  async generateMultiple(count, options = {}) {
+    const { startId = 1, manifest: manifestPath, resume = false, plan: planSource, ...generateOptions } = options;
+    const { species = 'random', includePixelated = true, seed } = generateOptions;
+    const speciesOverride = species === 'random' ? null : species;
+    console.log(`\n======= GENERATING ${count} NFTs (ids ${startId}-${startId + count - 1}) =======`);
+    
+    const plan = planSource ? readPlan(planSource) : null;
+    const planned = plan ? new Map(plan.items.map(item => [Number(item.id), item])) : null;
+    const manifest = this.openManifest(manifestPath, resume);
+    if (manifest) {
+      manifest.start({
+        startId,
+        count,
+        species,
+        includePixelated,
+        seed: plan ? plan.seed : seed ?? this.seed ?? null,
+        plan: typeof planSource === 'string' ? path.resolve(planSource) : null
+      });
+    }
+    
+    const results = [];
+    const failures = [];
+    let skipped = 0;
+    
+    // Uploads and metadata happen here; a failed upload leaves the NFT rendered for a resume
+    const complete = async (job, rendered) => {
+      const result = await this.completeNFT(job, rendered);
+      if (result.uploadError) {
+        console.error(`[generateMultiple] ❌ Failed to upload NFT #${job.id}: ${result.uploadError}`);
+        failures.push({ id: job.id, error: `Upload failed: ${result.uploadError}` });
+      } else {
+        results.push(result);
+        console.log(`[generateMultiple] ✅ Completed NFT #${job.id}`);
+      }
+      if (manifest) {
+        manifest.record(job.id, {
+          status: result.uploadError ? 'rendered' : 'completed',
+          species: job.species,
+          seed: job.seed,
+          dna: job.dna,
+          rendered,
+          urls: result.uploadError ? null : describeUrls(result),
+          metadataPath: result.metadataPath,
+          error: result.uploadError ? `Upload failed: ${result.uploadError}` : null
+        });
+      }
+    };
+    const fail = (id, error, job = null) => {
+      console.error(`[generateMultiple] ❌ Failed to generate NFT #${id}:`, error);
+      failures.push({ id, error: error.message });
+      if (manifest) {
+        manifest.record(id, {
+          status: 'failed',
+          species: job ? job.species : null,
+          seed: job ? job.seed : null,
+          dna: job ? job.dna : null,
+          error: error.message
+        });
+      }
+    };
+    
+    // Parallel batches render on worker threads, a couple of jobs per worker queued so the
+    // prepared jobs don't pile up in memory; serial batches render one NFT at a time
+    const pool = this.workers > 1 ? new WorkerPool({ size: this.workers, config: this.renderConfig }) : null;
+    const render = pool
+      ? async job => pool.run(job, await this.collectJobAssets(job))
+      : job => this.renderNFT(job);
+    const limit = pool ? pool.size * 2 : 1;
+    if (pool) {
+      console.log(`[generateMultiple] Rendering on ${pool.size} worker threads`);
+    }
+    
+    const inFlight = new Set();
+    try {
+      for (let id = startId; id < startId + count; id++) {
+        const entry = resume ? manifest.get(id) : null;
+        if (entry && entry.status === 'completed') {
+          skipped++;
+          continue;
+        }
+    
+        console.log(`\n[generateMultiple] Starting NFT #${id} (${id - startId + 1} of ${count})`);
+    
+        // Rendered NFTs whose files are still there only need their uploads and metadata
+        if (entry && entry.status === 'rendered' && rendersExist(entry.rendered)) {
+          console.log(`[generateMultiple] Uploading rendered NFT #${id} again`);
+          const job = { id, seed: entry.seed, species: entry.species, dna: entry.dna };
+          await complete(job, entry.rendered).catch(error => fail(id, error, job));
+          continue;
+        }
+    
+        let job;
+        try {
+          if (planned) {
+            job = this.preparePlannedNFT(planned.get(id), id, includePixelated);
+          } else {
+            // Retries keep the seed of the first attempt, so they reproduce the same NFT
+            job = await this.prepareNFT(id, speciesOverride, { includePixelated, seed: seed ?? (entry ? entry.seed : undefined) });
+          }
+        } catch (error) {
+          fail(id, error);
+          continue;
+        }
+    
+        const task = Promise.resolve()
+          .then(() => render(job))
+          .then(rendered => complete(job, rendered))
+          .catch(error => fail(id, error, job))
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+    
+        if (inFlight.size >= limit) {
+          await Promise.race(inFlight);
+        }
+      }
+      await Promise.all(inFlight);
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
+    
+    results.sort((a, b) => a.id - b.id);
+    failures.sort((a, b) => a.id - b.id);
+    
+    console.log(`\n======= COMPLETED GENERATING ${count} NFTs =======`);
+    console.log(`Successfully generated: ${results.length}/${count - skipped} NFTs${skipped ? ` (${skipped} already completed)` : ''}`);
+    const assetStats = this.assetCache.stats();
+    console.log(`Component images: ${assetStats.hits} cache hits, ${assetStats.misses} loads`);
+    if (manifest) {
+      console.log(`Manifest: ${manifest.file}`);
+    }
+    
+    return {
+      total: count,
+      succeeded: results.length,
+      failed: failures.length,
+      skipped,
+      results,
+      failures,
+      manifestPath: manifest ? manifest.file : null
+    };
+  }
+
+  // Dry run of generateMultiple(): select the species and components of each NFT in the
+  // layerConfig order from the storage listings, without loading images or drawing. Takes the
+  // startId, species and seed options of generateMultiple(); returns the plan (see lib/plan.js)
+  // with every NFT's attributes, DNA and selection and the projected trait distribution.
+  // renderPlan() renders exactly this plan
+  async plan(count, options = {}) {
+    const { startId = 1, species = 'random', seed } = options;
+    const speciesOverride = species === 'random' ? null : species;
+    console.log(`\n======= PLANNING ${count} NFTs (ids ${startId}-${startId + count - 1}) =======`);
+    
+    // Plan against a copy of the DNA registry, so a dry run doesn't use up trait combinations
+    const registry = this.dnaRegistry;
+    this.dnaRegistry = registry.clone();
+    
+    const items = [];
+    const failures = [];
+    try {
+      for (let id = startId; id < startId + count; id++) {
+        try {
+          const { seed: nftSeed, species: nftSpecies, dna, selection } = await this.selectNFT(id, speciesOverride, seed);
+          const attributes = [{ trait_type: "species", value: nftSpecies }, ...selection.flatMap(layerAttributes)];
+          items.push({ id, seed: nftSeed, species: nftSpecies, dna, attributes, selection });
+        } catch (error) {
+          console.error(`[plan] ❌ Failed to plan NFT #${id}: ${error.message}`);
+          failures.push({ id, error: error.message });
+        }
+      }
+    } finally {
+      this.dnaRegistry = registry;
+    }
+    
+    console.log(`[plan] Planned ${items.length}/${count} NFTs`);
+    const expected = await this.expectedWeights(countSpecies(items));
+    return {
+      version: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      startId,
+      count,
+      species,
+      seed: seed ?? this.seed ?? null,
+      layers: this.layerConfig.map(layerInfo => layerInfo.category),
+      items,
+      failures,
+      distribution: projectDistribution(items, expected)
+    };
+  }
+
+  // Render a plan from plan() (or the path of a saved one) like generateMultiple() with the
+  // same ids; takes the other generateMultiple() options (includePixelated, manifest, resume)
+  async renderPlan(plan, options = {}) {
+    const { startId, count } = readPlan(plan);
+    return this.generateMultiple(count, { ...options, startId, plan });
+  }
+
+  // Render job of a planned NFT; its DNA is registered so later selections don't reuse it
+  preparePlannedNFT(item, id, includePixelated = true) {
+    console.log(`\n======= GENERATING NFT #${id} =======`);
+    if (!item) {
+      throw new Error(`NFT #${id} is not in the plan; it failed during planning`);
+    }
+    
+    const owner = this.dnaRegistry.getOwner(item.dna);
+    if (this.uniqueDNA && owner !== undefined && String(owner) !== String(id)) {
+      throw new Error(`Planned DNA of NFT #${id} is already used by NFT #${owner}`);
+    }
+    this.dnaRegistry.add(item.dna, id);
+    return planJob(item, includePixelated);
+  }
+
+  // Manifest of a batch: a fresh one, or the one of an earlier run when resuming. Resuming
+  // registers the DNA of the earlier NFTs, so retried ids keep their own and new ones don't take them
+  openManifest(manifestPath, resume = false) {
+    if (manifestPath === false) {
+      if (resume) {
+        throw new Error('Resuming a batch needs its manifest');
+      }
+      return null;
+    }
+    
+    const file = manifestPath || path.join(this.outputFolder, MANIFEST_FILE);
+    if (!resume) {
+      return new BatchManifest(file);
+    }
+    
+    if (!fs.existsSync(file)) {
+      throw new Error(`No batch manifest to resume from at ${file}`);
+    }
+    const manifest = BatchManifest.load(file);
+    for (const entry of manifest.entries.values()) {
+      if (entry.dna) {
+        this.dnaRegistry.add(entry.dna, entry.id);
+      }
+    }
+    const { completed, rendered, failed } = manifest.summary();
+    console.log(`[openManifest] Resuming ${file}: ${completed} completed, ${rendered} to upload again, ${failed} failed`);
+    return manifest;
   }
 
-  getSpeciesToGenerate() {
+  // Bytes of the component images of a job when the storage provider serves them itself
+  // (e.g. memory:// URLs), for a render worker that can't call the provider; null otherwise
+  async collectJobAssets(job) {
+    if (!this.renderConfig.readsAssets) {
+      return null;
+    }
+    
+    const assets = new Map();
+    for (const { component } of job.selection) {
+      for (const url of (component && (component.frames || [component.url])) || []) {
+        if (!assets.has(url)) {
+          assets.set(url, await this.readResource(url));
+        }
+      }
+    }
+    return assets;
+  }
+
+  getSpeciesToGenerate(random = Math.random) {
     // Basic implementation - can be overridden or extended
     if (this.availableSpecies.length === 0) {
       return "indigo"; // default
     }
-    const randomIndex = Math.floor(Math.random() * this.availableSpecies.length);
-    return this.availableSpecies[randomIndex];
+    return pick(random, this.availableSpecies);
   }
 
   // Get raw canvas for direct manipulation
   getCanvas() {
+    if (!this.canvas) {
+      this.canvas = createCanvas(this.width, this.height);
+      this.ctx = this.canvas.getContext("2d");
+    }
     return this.canvas;
   }
 
   // Get context for direct manipulation
   getContext() {
+    this.getCanvas();
     return this.ctx;
   }
 }
 
+// Attributes of a selected layer: its trait, plus its color variant and randomized effect,
+// which are traits of their own
+function layerAttributes({ layerInfo, trait, color, effect }) {
+  const attributes = [{ trait_type: layerInfo.category, value: trait }];
+  if (color) {
+    attributes.push({ trait_type: `${layerInfo.category}_color`, value: color.name });
+  }
+  if (effect && effect.randomized) {
+    attributes.push({ trait_type: `${layerInfo.category}_effect`, value: effect.name });
+  }
+  return attributes;
+}
+
+// Whether the files of a rendered NFT are all still on disk
+function rendersExist(rendered) {
+  if (!rendered) {
+    return false;
+  }
+  const paths = [
+    rendered.nftPath,
+    rendered.pixelatedImagePath,
+    rendered.svgPath,
+    rendered.animation && rendered.animation.path,
+    rendered.pixelatedAnimationPath,
+    ...(rendered.renditions || []).map(rendition => rendition.path)
+  ];
+  return paths.filter(Boolean).every(filePath => fs.existsSync(filePath));
+}
+
+// Upload URLs of a generated NFT, as recorded in the batch manifest
+function describeUrls(result) {
+  const urls = { image: result.nftUrl };
+  if (result.pixelatedUrl) urls.pixelated = result.pixelatedUrl;
+  if (result.svgUrl) urls.svg = result.svgUrl;
+  for (const rendition of result.renditions) {
+    urls[rendition.name] = rendition.url;
+  }
+  if (result.animationUrl) urls.animation = result.animationUrl;
+  if (result.pixelatedAnimationUrl) urls.animation_pixelated = result.pixelatedAnimationUrl;
+  return urls;
+}
+
+Generator.DEFAULT_LAYER_CONFIG = DEFAULT_LAYER_CONFIG;
+
 module.exports = Generator;
@@ -1,8 +1,31 @@
 const Generator = require('./generator');
+const RuleEngine = require('./rules');
+const DNA = require('./dna');
+const Placement = require('./placement');
+const Effects = require('./effects');
+const Palette = require('./palette');
+const Animation = require('./animation');
+const SVG = require('./svg');
+const PixelArt = require('./pixelart');
+const Rarity = require('./rarity');
+const Metadata = require('./metadata');
+const IPFS = require('./ipfs');
+const Provenance = require('./provenance');
+const AssetCache = require('./assets');
+const WorkerPool = require('./workers/pool');
+const Manifest = require('./manifest');
+const Plan = require('./plan');
+const Collection = require('./utils/collection');
 const SupabaseStorage = require('./storage/supabase');
 const S3Storage = require('./storage/s3');
+const LocalStorage = require('./storage/local');
+const InMemoryStorage = require('./storage/memory');
+const StorageContract = require('./storage/contract');
+const Conformance = require('./storage/conformance');
+const StandIns = require('./storage/standins');
 const ImageUtils = require('./utils/image');
 const TransparencyChecker = require('./utils/transparency');
+const Random = require('./utils/random');
 
 /**
  * NFT Generator Package
@@ -20,6 +43,86 @@ module.exports = {
    */
   Generator,
   
+  /**
+   * Trait compatibility rule engine
+   */
+  RuleEngine,
+  
+  /**
+   * Component image cache (in-memory LRU and on-disk ETag cache)
+   */
+  AssetCache,
+  
+  /**
+   * Worker thread pool rendering prepared NFTs (used by generateMultiple() with `workers`)
+   */
+  WorkerPool,
+  
+  /**
+   * Batch checkpoint manifest (BatchManifest, MANIFEST_FILE)
+   */
+  manifest: Manifest,
+  
+  /**
+   * Batch plans from generator.plan() (readPlan, writePlan, formatPlan)
+   */
+  plan: Plan,
+  
+  /**
+   * Trait DNA helpers (computeDNA, DNARegistry, findDuplicateDNA)
+   */
+  dna: DNA,
+  
+  /**
+   * Layer placement helpers (resolvePlacement, computeRect)
+   */
+  placement: Placement,
+  
+  /**
+   * Layer effect helpers (resolveEffect, drawWithEffect, BLEND_MODES)
+   */
+  effects: Effects,
+  
+  /**
+   * Palette-swap helpers (resolveColor, recolorPixels, recolorLayer)
+   */
+  palette: Palette,
+  
+  /**
+   * Animation helpers (getFrameCount, getFrameSource, encodeAnimation)
+   */
+  animation: Animation,
+  
+  /**
+   * SVG output helpers (composeSVG, parseSVG)
+   */
+  svg: SVG,
+  
+  /**
+   * Pixel-art pipeline (pixelArt, resolvePixelArtOptions, PALETTES)
+   */
+  pixelArt: PixelArt,
+  
+  /**
+   * Collection rarity report (analyzeFolder, tokensToCSV, formatSummary)
+   */
+  rarity: Rarity,
+  
+  /**
+   * Metadata standards (formatMetadata, getFormatter, FORMATTERS)
+   */
+  metadata: Metadata,
+  
+  /**
+   * Offline IPFS packaging (packageCollection, computeCID)
+   */
+  ipfs: IPFS,
+  
+  /**
+   * Provenance hash and starting-index reveal (computeProvenance, getStartingIndex, reveal)
+   */
+  provenance: Provenance,
+  
   /**
    * Storage providers
    */
@@ -36,11 +139,32 @@ module.exports = {
      */
     createS3Storage: (config = {}) => new S3Storage(config),
     
+    /**
+     * Create a local filesystem storage provider
+     * @param {Object} config - Components folder, output folder and base URLs
+     */
+    createLocalStorage: (config = {}) => new LocalStorage(config),
+    
+    /**
+     * Create an in-memory storage provider, e.g. for tests (see sb_generator/testing)
+     * @param {Object} config - Component buffers or placeholder options
+     */
+    createInMemoryStorage: (config = {}) => new InMemoryStorage(config),
+    
     /**
      * Direct access to storage classes
      */
     SupabaseStorage,
-    S3Storage
+    S3Storage,
+    LocalStorage,
+    InMemoryStorage,
+    
+    /**
+     * Storage provider contract, conformance suite and local SDK stand-ins
+     */
+    contract: StorageContract,
+    conformance: Conformance,
+    standins: StandIns
   },
   
   /**
@@ -48,6 +172,8 @@ module.exports = {
    */
   utils: {
     image: ImageUtils,
-    transparency: TransparencyChecker
+    transparency: TransparencyChecker,
+    random: Random,
+    collection: Collection
   }
 };
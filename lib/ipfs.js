@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { readCollection, findTokenFiles } = require('./utils/collection');
+const { toHexId } = require('./metadata');
+const { readRevealMapping } = require('./provenance');
+
+/**
+ * Offline IPFS packaging
+ *
+ * Packs a generator output folder for pinning without any network access:
+ * 1. every image, SVG and animation of each NFT is imported as UnixFS (CIDv1, raw leaves,
+ *    the same CIDs `ipfs add --cid-version 1` gives) into one images directory
+ * 2. each metadata file is rewritten so its references to those files (`image`, `images`,
+ *    `animation_url`, `properties.files`...) become `ipfs://<file cid>`
+ * 3. the rewritten metadata is imported as a second directory, whose CID is the base URI
+ *
+ * Both directories are written as CAR files that any pinning service accepts. The original
+ * metadata in the output folder is left unchanged.
+ * @module ipfs
+ */
+
+// Multicodec of UnixFS directory nodes
+const DAG_PB_CODE = 0x70;
+
+// The IPFS libraries are ES modules; load them on first use
+let modules = null;
+
+/**
+ * Package a generator output folder as CAR files
+ * @param {string} folder - Output folder of a generator run
+ * @param {Object} options - Packaging options
+ * @param {string} options.out - Folder for the CAR files and rewritten metadata (default: `<folder>/ipfs`)
+ * @param {string} options.extension - Extension of the metadata file names, `<id><extension>`;
+ *   use '' for contracts that append the bare token id to the base URI (default: '.json').
+ *   ERC-1155 metadata keeps its `<64 hex digit id>.json` names
+ * @returns {Promise<Object>} Summary: `imagesCid`, `metadataCid`, `baseURI`, CAR paths and, per
+ *   token, `{ id, species, metadata, files: { [fileName]: cid } }`
+ */
+async function packageCollection(folder, options = {}) {
+  const { out = path.join(folder, 'ipfs'), extension = '.json' } = options;
+
+  const entries = readCollection(folder);
+  if (entries.length === 0) {
+    throw new Error(`No NFT metadata found in ${folder}`);
+  }
+
+  const fileNames = fs.readdirSync(folder);
+  // A revealed folder's metadata still refers to the files of the generated ids
+  const revealMapping = readRevealMapping(folder);
+  const tokens = entries.map(entry => ({
+    ...entry,
+    sourceId: revealMapping.get(entry.id) ?? entry.id,
+    files: findTokenFiles(fileNames, entry.species, entry.id)
+  }));
+
+  fs.mkdirSync(path.join(out, 'metadata'), { recursive: true });
+
+  // 1. Images directory
+  const imagesCar = path.join(out, 'images.car');
+  const images = await importToCar(
+    tokens.flatMap(token => token.files.map(fileName => ({
+      path: fileName,
+      content: readLazily(path.join(folder, fileName))
+    }))),
+    imagesCar
+  );
+  console.log(`[packageCollection] Images directory: ${images.root} (${images.files.size} files)`);
+
+  // 2. Metadata pointing at the image CIDs
+  const metadataFiles = [];
+  for (const token of tokens) {
+    const prefix = `${token.species}_nft_${token.id}`;
+    const references = new Map(token.files.map(fileName => [
+      `${token.species}_nft_${token.sourceId}${fileName.slice(prefix.length)}`,
+      `ipfs://${images.files.get(fileName)}`
+    ]));
+    const metadata = rewriteReferences(token.metadata, token.species, token.sourceId, references);
+    const name = path.basename(token.file) === `${toHexId(token.id)}.json` ? path.basename(token.file) : `${token.id}${extension}`;
+    const content = JSON.stringify(metadata, null, 2);
+
+    fs.writeFileSync(path.join(out, 'metadata', name), content);
+    metadataFiles.push({ path: name, content: Buffer.from(content) });
+    token.metadataName = name;
+  }
+
+  // 3. Metadata directory
+  const metadataCar = path.join(out, 'metadata.car');
+  const metadata = await importToCar(metadataFiles, metadataCar);
+  console.log(`[packageCollection] Metadata directory: ${metadata.root} (${metadata.files.size} files)`);
+
+  const summary = {
+    imagesCid: images.root,
+    metadataCid: metadata.root,
+    baseURI: `ipfs://${metadata.root}/`,
+    imagesCar,
+    metadataCar,
+    tokens: tokens.map(token => ({
+      id: token.id,
+      species: token.species,
+      metadata: token.metadataName,
+      metadataCid: metadata.files.get(token.metadataName),
+      files: Object.fromEntries(token.files.map(fileName => [fileName, images.files.get(fileName)]))
+    }))
+  };
+  fs.writeFileSync(path.join(out, 'ipfs.json'), JSON.stringify(summary, null, 2));
+
+  return summary;
+}
+
+/**
+ * CIDv1 of a single file, as `ipfs add --cid-version 1` computes it
+ * @param {string|Buffer} source - File path or content
+ * @returns {Promise<string>} CID
+ */
+async function computeCID(source) {
+  const { importer } = await loadModules();
+  const content = Buffer.isBuffer(source) ? source : readLazily(source);
+  let cid = null;
+  for await (const entry of importer([{ content }], createBlockstore(), { cidVersion: 1, rawLeaves: true })) {
+    cid = entry.cid;
+  }
+  return cid.toString();
+}
+
+/**
+ * Replace every string in the metadata that refers to one of the token's files, either as the
+ * local path or as the uploaded `nfts/<species>/<id>/<name>` URL
+ * @private
+ */
+function rewriteReferences(value, species, id, references) {
+  const prefix = `${species}_nft_${id}`;
+  const uploaded = new Map();
+  for (const [fileName, uri] of references) {
+    uploaded.set(`nfts/${species}/${id}/${toUploadName(fileName.slice(prefix.length))}`, uri);
+  }
+
+  const rewrite = item => {
+    if (typeof item === 'string') {
+      const local = references.get(path.basename(item));
+      if (local) return local;
+      for (const [suffix, uri] of uploaded) {
+        if (item.endsWith(`/${suffix}`) || item === suffix) return uri;
+      }
+      return item;
+    }
+    if (Array.isArray(item)) return item.map(rewrite);
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, rewrite(child)]));
+    }
+    return item;
+  };
+  return rewrite(value);
+}
+
+/**
+ * Name generateNFT() uploads a file under, from its local file name suffix
+ * @private
+ */
+function toUploadName(suffix) {
+  const [, name, extension] = suffix.match(/^([^.]*)(\..+)$/);
+  if (name === '') return `image${extension}`;
+  if (name === '_pixelated') return `image_pixelated${extension}`;
+  if (name === '_animated') return `animation${extension}`;
+  if (name === '_animated_pixelated') return `animation_pixelated${extension}`;
+  return `${name.slice(1)}${extension}`;
+}
+
+/**
+ * Import files into a UnixFS directory, streaming its blocks into a CAR file.
+ * The root is only known at the end, so the CAR header is written with a placeholder of the
+ * same size and patched afterwards.
+ * @private
+ */
+async function importToCar(files, carPath) {
+  const { importer, CarWriter, CID, sha256 } = await loadModules();
+
+  const placeholder = CID.create(1, DAG_PB_CODE, await sha256.digest(new Uint8Array(0)));
+  const { writer, out } = CarWriter.create([placeholder]);
+  const written = pipeline(Readable.from(out), fs.createWriteStream(carPath));
+
+  const seen = new Set();
+  const blockstore = createBlockstore(async (cid, bytes) => {
+    const key = cid.toString();
+    if (seen.has(key)) return;
+    seen.add(key);
+    await writer.put({ cid, bytes });
+  });
+
+  const cids = new Map();
+  let root = null;
+  for await (const entry of importer(files, blockstore, { cidVersion: 1, rawLeaves: true, wrapWithDirectory: true })) {
+    if (entry.path === '') {
+      root = entry.cid;
+    } else {
+      cids.set(entry.path, entry.cid.toString());
+    }
+  }
+
+  await writer.close();
+  await written;
+
+  const fd = await fs.promises.open(carPath, 'r+');
+  try {
+    await CarWriter.updateRootsInFile(fd, [root]);
+  } finally {
+    await fd.close();
+  }
+
+  return { root: root.toString(), files: cids };
+}
+
+/**
+ * Read a file only once the importer gets to it, so large collections don't open every file at once
+ * @private
+ */
+async function* readLazily(filePath) {
+  yield* fs.createReadStream(filePath);
+}
+
+/**
+ * Blockstore for the importer, which only ever puts blocks; `onPut` receives each block
+ * @private
+ */
+function createBlockstore(onPut = null) {
+  return {
+    async put(cid, bytes) {
+      if (onPut) {
+        await onPut(cid, bytes);
+      }
+      return cid;
+    }
+  };
+}
+
+/**
+ * @private
+ */
+async function loadModules() {
+  if (!modules) {
+    const [{ importer }, { CarWriter }, { CID }, { sha256 }] = await Promise.all([
+      import('ipfs-unixfs-importer'),
+      import('@ipld/car'),
+      import('multiformats/cid'),
+      import('multiformats/hashes/sha2')
+    ]);
+    modules = { importer, CarWriter, CID, sha256 };
+  }
+  return modules;
+}
+
+module.exports = {
+  packageCollection,
+  computeCID
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Batch manifest: the checkpoint of a generateMultiple() run
+ *
+ * The manifest is a JSON Lines file in the output folder (`batch-manifest.jsonl`). The first
+ * line holds the batch settings; after that, one line is appended per finished NFT and the
+ * last line of an id wins. Appending keeps checkpoints cheap in long batches, and a run that
+ * dies mid-write only loses its last line. Entry statuses:
+ * - `completed`: rendered, uploaded and metadata written
+ * - `rendered`: images rendered but an upload failed; resuming uploads them again
+ * - `failed`: selection or rendering failed; resuming generates the NFT again
+ * @module manifest
+ */
+
+const MANIFEST_FILE = 'batch-manifest.jsonl';
+
+class BatchManifest {
+  /**
+   * Create an empty manifest; nothing is written until start()
+   * @param {string} file - Manifest path
+   */
+  constructor(file) {
+    this.file = file;
+    this.batch = null;
+    this.entries = new Map();
+  }
+
+  /**
+   * Read a manifest written by an earlier run
+   * @param {string} file - Manifest path
+   * @returns {BatchManifest} The manifest; empty when the file doesn't exist
+   */
+  static load(file) {
+    const manifest = new BatchManifest(file);
+    if (!fs.existsSync(file)) {
+      return manifest;
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A run killed while appending leaves a partial last line
+        console.log(`[BatchManifest] Skipping unreadable line ${index + 1} of ${file}`);
+        return;
+      }
+      if (record.batch) {
+        manifest.batch = record.batch;
+      } else if (record.id !== undefined) {
+        manifest.entries.set(String(record.id), record);
+      }
+    });
+    return manifest;
+  }
+
+  /**
+   * Write the batch settings and the current entries, replacing the file
+   * @param {Object} batch - Batch settings, e.g. `{ startId, count, seed, species, includePixelated }`
+   */
+  start(batch) {
+    this.batch = { ...batch, startedAt: new Date().toISOString() };
+    const lines = [{ batch: this.batch }, ...this.entries.values()].map(record => JSON.stringify(record));
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, `${lines.join('\n')}\n`);
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Record the outcome of an NFT
+   * @param {number} id - NFT id
+   * @param {Object} entry - `status` ('completed', 'rendered' or 'failed') and what is known of
+   *   the NFT: `species`, `seed`, `dna`, `rendered` (paths from Generator#renderNFT()), `urls`,
+   *   `metadataPath`, `error`
+   * @returns {Object} The stored entry
+   */
+  record(id, entry) {
+    const previous = this.get(id);
+    const record = {
+      id,
+      ...entry,
+      attempts: (previous ? previous.attempts || 1 : 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    this.entries.set(String(id), record);
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  /**
+   * Latest entry of an NFT
+   * @param {number} id - NFT id
+   * @returns {Object|undefined} Entry
+   */
+  get(id) {
+    return this.entries.get(String(id));
+  }
+
+  /**
+   * Number of entries by status
+   * @returns {Object} `{ completed, rendered, failed }`
+   */
+  summary() {
+    const counts = { completed: 0, rendered: 0, failed: 0 };
+    for (const { status } of this.entries.values()) {
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+module.exports = {
+  BatchManifest,
+  MANIFEST_FILE
+};
@@ -0,0 +1,260 @@
+const { getContentType } = require('./utils/contentType');
+
+/**
+ * Metadata standards
+ *
+ * A formatter turns a generated token into the metadata document a marketplace reads, and
+ * names the file it is saved as:
+ * - `legacy`: the generator's original shape (`images` map, numeric `id`)
+ * - `erc721` (alias `opensea`): OpenSea ERC-721 metadata (`image`, `animation_url`,
+ *   `external_url`, `attributes` with `display_type`)
+ * - `erc1155`: ERC-1155 metadata saved as `<64 hex digit id>.json`, matching the `{id}` URI
+ *   substitution
+ * - `metaplex`: Solana Metaplex token metadata (`properties.files`, `properties.creators`,
+ *   `seller_fee_basis_points`)
+ *
+ * Every format keeps `seed` and `dna`, which the generator reads back to avoid duplicates.
+ * A custom formatter is an object with `format(token, options)` and optionally `fileName(token)`.
+ * @module metadata
+ */
+
+const DEFAULT_OPTIONS = {
+  name: '{Species} Babiez #{id}',
+  description: 'Generated {species} Space Babiez NFT with 2D and pixel art',
+  image: '2D',
+  symbol: '',
+  sellerFeeBasisPoints: 0,
+  creators: [],
+  displayTypes: {}
+};
+
+// OpenSea display types for numeric traits
+const DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+
+const FORMATTERS = {
+  legacy: {
+    format: formatLegacy,
+    fileName: token => `${token.species}_nft_${token.id}.json`
+  },
+  erc721: {
+    format: formatERC721,
+    fileName: token => `${token.species}_nft_${token.id}.json`
+  },
+  erc1155: {
+    format: formatERC1155,
+    fileName: token => `${toHexId(token.id)}.json`
+  },
+  metaplex: {
+    format: formatMetaplex,
+    fileName: token => `${token.species}_nft_${token.id}.json`
+  }
+};
+FORMATTERS.opensea = FORMATTERS.erc721;
+
+/**
+ * Look up a formatter
+ * @param {string|Object} format - Format name or custom formatter (default: 'legacy')
+ * @returns {Object} Formatter with `format(token, options)` and `fileName(token)`
+ */
+function getFormatter(format = 'legacy') {
+  if (format && typeof format === 'object') {
+    if (typeof format.format !== 'function') {
+      throw new Error('Custom metadata formatter must have a format(token, options) function');
+    }
+    return { fileName: FORMATTERS.legacy.fileName, ...format };
+  }
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unsupported metadata format "${format}"; expected one of ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+  return formatter;
+}
+
+/**
+ * Fill in and validate metadata options
+ * @param {Object} options - Metadata options from the generator config:
+ *   - `name` / `description`: templates with `{id}`, `{species}` and `{Species}` placeholders
+ *   - `image`: key of the image used as the token image (default: '2D')
+ *   - `externalUrl`: template of the token's page on your site
+ *   - `backgroundColor`: OpenSea background color, six hex digits without '#'
+ *   - `displayTypes`: `{ [trait_type]: display_type }` for numeric traits
+ *   - `symbol`, `sellerFeeBasisPoints`, `creators` (`{ address, share }`), `collection`: Metaplex fields
+ * @returns {Object} Resolved options
+ */
+function resolveMetadataOptions(options = {}) {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  const { sellerFeeBasisPoints, creators, displayTypes, backgroundColor } = resolved;
+
+  if (!Number.isInteger(sellerFeeBasisPoints) || sellerFeeBasisPoints < 0 || sellerFeeBasisPoints > 10000) {
+    throw new Error(`sellerFeeBasisPoints must be an integer from 0 to 10000, got ${sellerFeeBasisPoints}`);
+  }
+  if (creators.length > 0) {
+    const shares = creators.reduce((sum, creator) => sum + creator.share, 0);
+    if (creators.some(creator => !creator.address) || shares !== 100) {
+      throw new Error('Metadata creators need an address each and shares adding up to 100');
+    }
+  }
+  for (const [traitType, displayType] of Object.entries(displayTypes)) {
+    if (!DISPLAY_TYPES.includes(displayType)) {
+      throw new Error(`Unsupported display_type "${displayType}" for ${traitType}; expected one of ${DISPLAY_TYPES.join(', ')}`);
+    }
+  }
+  if (backgroundColor !== undefined && !/^[0-9a-f]{6}$/i.test(backgroundColor)) {
+    throw new Error(`backgroundColor must be six hex digits without '#', got "${backgroundColor}"`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Format a token's metadata
+ * @param {Object} token - Generated token: `id`, `species`, `seed`, `dna`, `attributes`,
+ *   `images` (`{ "2D", pixelated, ... }` URLs), `animationUrl`, `pixelArt`
+ * @param {string|Object} format - Format name or custom formatter
+ * @param {Object} options - Options from resolveMetadataOptions()
+ * @returns {Object} Metadata document
+ */
+function formatMetadata(token, format, options = resolveMetadataOptions()) {
+  return getFormatter(format).format(token, options);
+}
+
+/**
+ * ERC-1155 token id as 64 lowercase hex digits
+ * @param {number} id - Token id
+ * @returns {string} Hex id
+ */
+function toHexId(id) {
+  return BigInt(id).toString(16).padStart(64, '0');
+}
+
+/**
+ * Fill in the `{id}`, `{species}` and `{Species}` placeholders of a template
+ * @param {string} template - Template, e.g. '{Species} Babiez #{id}'
+ * @param {Object} token - `id` and `species`
+ * @returns {string} Filled-in text
+ */
+function fillTemplate(template, token) {
+  return String(template)
+    .replace(/\{id\}/g, token.id)
+    .replace(/\{species\}/g, token.species)
+    .replace(/\{Species\}/g, token.species.charAt(0).toUpperCase() + token.species.slice(1));
+}
+
+/**
+ * @private
+ */
+function formatLegacy(token, options) {
+  return {
+    id: token.id,
+    name: fillTemplate(options.name, token),
+    description: fillTemplate(options.description, token),
+    images: token.images,
+    ...(token.animationUrl && { animation_url: token.animationUrl }),
+    ...(token.pixelArt && { pixel_art: token.pixelArt }),
+    seed: token.seed,
+    dna: token.dna,
+    attributes: token.attributes
+  };
+}
+
+/**
+ * @private
+ */
+function formatERC721(token, options) {
+  return {
+    name: fillTemplate(options.name, token),
+    description: fillTemplate(options.description, token),
+    image: getImage(token, options),
+    ...(token.animationUrl && { animation_url: token.animationUrl }),
+    ...(options.externalUrl && { external_url: fillTemplate(options.externalUrl, token) }),
+    ...(options.backgroundColor && { background_color: options.backgroundColor.toLowerCase() }),
+    attributes: formatAttributes(token.attributes, options),
+    seed: token.seed,
+    dna: token.dna
+  };
+}
+
+/**
+ * @private
+ */
+function formatERC1155(token, options) {
+  return {
+    name: fillTemplate(options.name, token),
+    description: fillTemplate(options.description, token),
+    image: getImage(token, options),
+    ...(token.animationUrl && { animation_url: token.animationUrl }),
+    ...(options.externalUrl && { external_url: fillTemplate(options.externalUrl, token) }),
+    decimals: 0,
+    attributes: formatAttributes(token.attributes, options),
+    properties: {
+      species: token.species,
+      images: token.images,
+      ...(token.pixelArt && { pixel_art: token.pixelArt })
+    },
+    seed: token.seed,
+    dna: token.dna
+  };
+}
+
+/**
+ * @private
+ */
+function formatMetaplex(token, options) {
+  const image = getImage(token, options);
+  // Every uploaded version of the token, the main image first
+  const uris = [...new Set([image, ...Object.values(token.images), token.animationUrl].filter(Boolean))];
+
+  return {
+    name: fillTemplate(options.name, token),
+    symbol: options.symbol,
+    description: fillTemplate(options.description, token),
+    seller_fee_basis_points: options.sellerFeeBasisPoints,
+    image,
+    ...(token.animationUrl && { animation_url: token.animationUrl }),
+    ...(options.externalUrl && { external_url: fillTemplate(options.externalUrl, token) }),
+    attributes: formatAttributes(token.attributes, options),
+    properties: {
+      files: uris.map(uri => ({ uri, type: getContentType(uri) })),
+      category: 'image',
+      creators: options.creators.map(({ address, share }) => ({ address, share }))
+    },
+    ...(options.collection && { collection: options.collection }),
+    seed: token.seed,
+    dna: token.dna
+  };
+}
+
+/**
+ * Attributes with numeric values and a display_type for the traits listed in `displayTypes`
+ * @private
+ */
+function formatAttributes(attributes, options) {
+  return attributes.map(({ trait_type, value }) => {
+    const displayType = options.displayTypes[trait_type] || (typeof value === 'number' ? 'number' : null);
+    if (!displayType) {
+      return { trait_type, value };
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`Trait ${trait_type} has display_type "${displayType}" but a non-numeric value "${value}"`);
+    }
+    return { display_type: displayType, trait_type, value: number };
+  });
+}
+
+/**
+ * The configured image, or the 2D image when that version wasn't made (e.g. no pixelated version)
+ * @private
+ */
+function getImage(token, options) {
+  return token.images[options.image] || token.images['2D'];
+}
+
+module.exports = {
+  getFormatter,
+  resolveMetadataOptions,
+  formatMetadata,
+  fillTemplate,
+  toHexId,
+  FORMATTERS
+};
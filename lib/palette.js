@@ -0,0 +1,224 @@
+const { createCanvas } = require('./utils/canvas');
+const { pickWeighted } = require('./utils/components');
+
+/**
+ * Palette-swap color variants
+ *
+ * A layer's `colors` (in layerConfig or the component's sidecar metadata) lists weighted
+ * color variants, or names a list in the generator's `palettes`. One variant is picked
+ * per NFT and recorded as the `<category>_color` attribute. Variants recolor the
+ * component in one of three ways:
+ * - `{ name, hue: 120 }`: rotate the hue by a number of degrees
+ * - `{ name, map: { '#ff0000': '#00aa88' }, tolerance: 32 }`: replace colors (nearest
+ *   source color within the tolerance, RGB distance)
+ * - `{ name, gradient: ['#1b1b3a', '#ff7a00', '#fff4c2'] }`: map luminance onto a gradient
+ * A variant with none of these keeps the original colors.
+ * @module palette
+ */
+
+/**
+ * Pick the color variant for a selected component
+ * @param {Object} layerInfo - Layer information
+ * @param {Object} sidecar - Component sidecar metadata
+ * @param {Object} palettes - Named variant lists from the generator config
+ * @param {Function} random - Random number generator
+ * @returns {Object|null} Selected variant, or null if the layer has no colors
+ */
+function resolveColor(layerInfo = {}, sidecar = {}, palettes = {}, random = Math.random) {
+  let variants = sidecar.colors || layerInfo.colors;
+  if (!variants) return null;
+
+  if (typeof variants === 'string') {
+    if (!palettes[variants]) {
+      throw new Error(`Unknown palette "${variants}" for ${layerInfo.category}`);
+    }
+    variants = palettes[variants];
+  }
+
+  const variant = pickWeighted(variants, v => v.weight ?? 1, random);
+  if (!variant) return null;
+
+  if (!variant.name) {
+    throw new Error(`Color variant for ${layerInfo.category} is missing a name`);
+  }
+  return {
+    ...variant,
+    map: variant.map && parseColorMap(variant.map),
+    gradient: variant.gradient && variant.gradient.map(parseColor)
+  };
+}
+
+/**
+ * Whether a variant changes any pixels
+ * @param {Object} variant - Resolved color variant
+ * @returns {boolean}
+ */
+function changesColors(variant) {
+  return Boolean(variant) && (Boolean(variant.hue) || Boolean(variant.map) || Boolean(variant.gradient));
+}
+
+/**
+ * Recolor RGBA pixel data in place
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Object} variant - Resolved color variant
+ */
+function recolorPixels(data, variant) {
+  const tolerance = variant.tolerance ?? 32;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+
+    let rgb = [data[i], data[i + 1], data[i + 2]];
+
+    if (variant.map) {
+      rgb = mapColor(rgb, variant.map, tolerance);
+    }
+    if (variant.gradient) {
+      rgb = gradientColor(rgb, variant.gradient);
+    }
+    if (variant.hue) {
+      rgb = rotateHue(rgb, variant.hue);
+    }
+
+    data[i] = rgb[0];
+    data[i + 1] = rgb[1];
+    data[i + 2] = rgb[2];
+  }
+}
+
+/**
+ * Draw an image into a canvas-sized layer and recolor it
+ * @param {Image|Canvas} image - Image to draw
+ * @param {Object} rect - `{ x, y, width, height }` to draw the image into
+ * @param {Object} variant - Resolved color variant
+ * @param {Object} options - `width`/`height` of the layer canvas
+ * @returns {Canvas} Recolored layer
+ */
+function recolorLayer(image, rect, variant, { width, height }) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+  recolorPixels(imageData.data, variant);
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Parse "#rgb" or "#rrggbb" into [r, g, b]
+ * @param {string} color - Hex color
+ * @returns {Array<number>}
+ */
+function parseColor(color) {
+  let hex = String(color).replace(/^#/, '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Invalid color "${color}"; expected #rgb or #rrggbb`);
+  }
+  return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+/**
+ * @private
+ */
+function parseColorMap(map) {
+  return Object.entries(map).map(([from, to]) => ({ from: parseColor(from), to: parseColor(to) }));
+}
+
+/**
+ * @private
+ */
+function mapColor(rgb, map, tolerance) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const entry of map) {
+    const distance = Math.hypot(rgb[0] - entry.from[0], rgb[1] - entry.from[1], rgb[2] - entry.from[2]);
+    if (distance <= tolerance && distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  }
+  if (!best) return rgb;
+
+  // Shift by the same offset so shading within the tolerance survives
+  return rgb.map((value, c) => clamp(value - best.from[c] + best.to[c]));
+}
+
+/**
+ * @private
+ */
+function gradientColor(rgb, stops) {
+  if (stops.length === 1) return stops[0];
+
+  const luminance = (0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2]) / 255;
+  const position = luminance * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const t = position - index;
+
+  return stops[index].map((value, c) => clamp(value + (stops[index + 1][c] - value) * t));
+}
+
+/**
+ * @private
+ */
+function rotateHue(rgb, degrees) {
+  const [h, s, l] = rgbToHsl(rgb);
+  return hslToRgb([(h + degrees / 360 + 1) % 1, s, l]);
+}
+
+/**
+ * @private
+ */
+function rgbToHsl([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return [h / 6, s, l];
+}
+
+/**
+ * @private
+ */
+function hslToRgb([h, s, l]) {
+  if (s === 0) {
+    const grey = clamp(l * 255);
+    return [grey, grey, grey];
+  }
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return [h + 1 / 3, h, h - 1 / 3].map(t => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    let value;
+    if (t < 1 / 6) value = p + (q - p) * 6 * t;
+    else if (t < 1 / 2) value = q;
+    else if (t < 2 / 3) value = p + (q - p) * (2 / 3 - t) * 6;
+    else value = p;
+    return clamp(value * 255);
+  });
+}
+
+/**
+ * @private
+ */
+function clamp(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+module.exports = { resolveColor, changesColors, recolorPixels, recolorLayer, parseColor };
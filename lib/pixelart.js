@@ -0,0 +1,360 @@
+const { parseColor } = require('./palette');
+
+/**
+ * Pixel-art pipeline
+ *
+ * Turns a rendered NFT into real pixel art rather than Jimp's block averages:
+ * 1. Downscale to a grid (e.g. 32x32 or 64x64); transparency becomes all-or-nothing
+ * 2. Quantize to a fixed palette ('pico8', 'nes', 'gameboy' or a list of colors), or to
+ *    `colors` colors picked by median cut
+ * 3. Optionally dither: 'ordered' (4x4 Bayer) or 'floyd-steinberg'
+ * 4. Optionally outline the sprite with a 1px (grid pixel) outline
+ * 5. Upscale back to the original size with nearest-neighbour sampling
+ *
+ * The sprite's transparent pixels are outlined; an opaque backdrop (such as the background
+ * layers) can be passed separately so it is pixelated and quantized but never outlined.
+ * @module pixelart
+ */
+
+const PALETTES = {
+  pico8: [
+    '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+    '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+  ],
+  nes: [
+    '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400',
+    '#503000', '#007800', '#006800', '#005800', '#004058', '#000000', '#bcbcbc', '#0078f8',
+    '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10', '#ac7c00', '#00b800',
+    '#00a800', '#00a844', '#008888', '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8',
+    '#f85898', '#f87858', '#fca044', '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8',
+    '#787878', '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0',
+    '#fce0a8', '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#f8d8f8'
+  ],
+  gameboy: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f']
+};
+
+const DITHER_MODES = ['none', 'ordered', 'floyd-steinberg'];
+
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+/**
+ * Validate pixel-art options and fill in defaults
+ * @param {Object} options - Pixel-art options
+ * @param {number|Object} options.grid - Grid width, or `{ width, height }` (default: 64)
+ * @param {string|Array<string>} options.palette - Palette name or list of colors (default: none)
+ * @param {number} options.colors - Colors picked by median cut when there is no palette (default: 16)
+ * @param {string} options.dither - 'none', 'ordered' or 'floyd-steinberg' (default: 'none')
+ * @param {boolean|string} options.outline - true for a black outline, or an outline color (default: false)
+ * @returns {Object} Resolved options
+ */
+function resolvePixelArtOptions(options = {}) {
+  const { grid = 64, palette = null, colors = 16, dither = 'none', outline = false } = options;
+
+  const gridSize = typeof grid === 'object' ? grid : { width: grid, height: null };
+  if (!Number.isInteger(gridSize.width) || gridSize.width <= 0 ||
+      (gridSize.height !== null && gridSize.height !== undefined && (!Number.isInteger(gridSize.height) || gridSize.height <= 0))) {
+    throw new Error(`Invalid pixel-art grid ${JSON.stringify(grid)}; expected a positive integer or { width, height }`);
+  }
+
+  let paletteName = null;
+  let paletteColors = null;
+  if (typeof palette === 'string') {
+    if (!PALETTES[palette]) {
+      throw new Error(`Unknown pixel-art palette "${palette}"; expected one of ${Object.keys(PALETTES).join(', ')} or a list of colors`);
+    }
+    paletteName = palette;
+    paletteColors = PALETTES[palette].map(parseColor);
+  } else if (Array.isArray(palette)) {
+    if (palette.length === 0) {
+      throw new Error('Pixel-art palette must have at least one color');
+    }
+    paletteName = 'custom';
+    paletteColors = palette.map(parseColor);
+  }
+
+  if (!paletteColors && (!Number.isInteger(colors) || colors < 2 || colors > 256)) {
+    throw new Error(`Invalid pixel-art colors ${colors}; expected an integer from 2 to 256`);
+  }
+  if (!DITHER_MODES.includes(dither || 'none')) {
+    throw new Error(`Invalid pixel-art dither "${dither}"; expected one of ${DITHER_MODES.join(', ')}`);
+  }
+
+  const outlineColor = outline === true ? '#000000' : (outline || null);
+  return {
+    grid: { width: gridSize.width, height: gridSize.height || null },
+    palette: paletteName,
+    paletteColors,
+    colors: paletteColors ? paletteColors.length : colors,
+    dither: dither || 'none',
+    outline: outlineColor,
+    outlineColor: outlineColor && parseColor(outlineColor)
+  };
+}
+
+/**
+ * Settings to record in metadata
+ * @param {Object} options - Resolved options from resolvePixelArtOptions()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} `{ grid, palette, colors, dither, outline }`
+ */
+function describePixelArt(options, width, height) {
+  const { width: gridWidth, height: gridHeight } = getGridSize(options, width, height);
+  return {
+    grid: `${gridWidth}x${gridHeight}`,
+    palette: options.palette || 'median-cut',
+    colors: options.colors,
+    dither: options.dither,
+    outline: options.outline
+  };
+}
+
+/**
+ * Turn RGBA pixels into pixel art
+ * @param {Object} image - `{ data, width, height }`, plus an optional `backdrop` (RGBA pixels of
+ *   the same size drawn behind the sprite, never outlined)
+ * @param {Object} options - Resolved options from resolvePixelArtOptions()
+ * @returns {Object} `{ data, width, height }` pixel art at the original size
+ */
+function pixelArt(image, options) {
+  const { data, width, height, backdrop = null } = image;
+  const grid = getGridSize(options, width, height);
+
+  const sprite = downscale(data, width, height, grid);
+  const cells = backdrop ? downscale(backdrop, width, height, grid) : null;
+
+  // Composite the sprite over the backdrop at grid resolution
+  const composite = new Uint8ClampedArray(sprite.length);
+  for (let i = 0; i < sprite.length; i += 4) {
+    const source = sprite[i + 3] > 0 || !cells ? sprite : cells;
+    composite[i] = source[i];
+    composite[i + 1] = source[i + 1];
+    composite[i + 2] = source[i + 2];
+    composite[i + 3] = source[i + 3];
+  }
+
+  const palette = options.paletteColors || medianCut(composite, options.colors);
+  quantize(composite, grid.width, grid.height, palette, options.dither);
+
+  if (options.outlineColor) {
+    drawOutline(composite, sprite, grid.width, grid.height, options.outlineColor);
+  }
+
+  return { data: upscale(composite, grid, width, height), width, height };
+}
+
+/**
+ * Grid size for an image; a single grid width keeps the image's aspect ratio
+ * @private
+ */
+function getGridSize(options, width, height) {
+  const gridWidth = Math.min(options.grid.width, width);
+  const gridHeight = options.grid.height || Math.max(1, Math.round(gridWidth * height / width));
+  return { width: gridWidth, height: Math.min(gridHeight, height) };
+}
+
+/**
+ * Area-average downscale; cells at least half covered become opaque, the rest transparent
+ * @private
+ */
+function downscale(data, width, height, grid) {
+  const cells = new Uint8ClampedArray(grid.width * grid.height * 4);
+
+  for (let gy = 0; gy < grid.height; gy++) {
+    const y0 = Math.floor(gy * height / grid.height);
+    const y1 = Math.max(y0 + 1, Math.floor((gy + 1) * height / grid.height));
+
+    for (let gx = 0; gx < grid.width; gx++) {
+      const x0 = Math.floor(gx * width / grid.width);
+      const x1 = Math.max(x0 + 1, Math.floor((gx + 1) * width / grid.width));
+      let r = 0, g = 0, b = 0, alpha = 0;
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          const a = data[i + 3];
+          r += data[i] * a;
+          g += data[i + 1] * a;
+          b += data[i + 2] * a;
+          alpha += a;
+        }
+      }
+
+      const o = (gy * grid.width + gx) * 4;
+      const count = (x1 - x0) * (y1 - y0);
+      if (alpha > 0 && alpha / count >= 128) {
+        cells[o] = r / alpha;
+        cells[o + 1] = g / alpha;
+        cells[o + 2] = b / alpha;
+        cells[o + 3] = 255;
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Pick `count` representative colors of the opaque pixels by median cut
+ * @private
+ */
+function medianCut(data, count) {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] > 0) pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (pixels.length === 0) return [[0, 0, 0]];
+
+  let boxes = [pixels];
+  while (boxes.length < count) {
+    // Split the box with the widest channel range at its median
+    let widest = null;
+    for (const box of boxes) {
+      if (box.length < 2) continue;
+      const range = channelRange(box);
+      if (!widest || range.size > widest.range.size) widest = { box, range };
+    }
+    if (!widest || widest.range.size === 0) break;
+
+    const { box, range } = widest;
+    box.sort((a, b) => a[range.channel] - b[range.channel]);
+    const middle = Math.floor(box.length / 2);
+    boxes = boxes.filter(other => other !== box).concat([box.slice(0, middle), box.slice(middle)]);
+  }
+
+  return boxes.map(box => [0, 1, 2].map(c => Math.round(box.reduce((sum, pixel) => sum + pixel[c], 0) / box.length)));
+}
+
+/**
+ * @private
+ */
+function channelRange(box) {
+  let best = { channel: 0, size: -1 };
+  for (let c = 0; c < 3; c++) {
+    let min = 255, max = 0;
+    for (const pixel of box) {
+      if (pixel[c] < min) min = pixel[c];
+      if (pixel[c] > max) max = pixel[c];
+    }
+    if (max - min > best.size) best = { channel: c, size: max - min };
+  }
+  return best;
+}
+
+/**
+ * Map opaque pixels to their nearest palette color, with optional dithering
+ * @private
+ */
+function quantize(data, width, height, palette, dither) {
+  // Ordered dithering nudges each pixel by up to about half the palette's color spacing
+  const spread = 255 / Math.max(1, Math.cbrt(palette.length));
+  const errors = dither === 'floyd-steinberg' ? new Float32Array(width * height * 3) : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const i = index * 4;
+      if (data[i + 3] === 0) continue;
+
+      let rgb = [data[i], data[i + 1], data[i + 2]];
+      if (dither === 'ordered') {
+        const offset = (BAYER_4X4[y % 4][x % 4] / 16 - 0.5) * spread;
+        rgb = rgb.map(value => value + offset);
+      } else if (errors) {
+        rgb = rgb.map((value, c) => value + errors[index * 3 + c]);
+      }
+
+      const color = nearestColor(rgb, palette);
+      if (errors) {
+        diffuseError(errors, data, width, height, x, y, rgb.map((value, c) => value - color[c]));
+      }
+
+      data[i] = color[0];
+      data[i + 1] = color[1];
+      data[i + 2] = color[2];
+    }
+  }
+}
+
+/**
+ * Floyd-Steinberg: push the error to opaque right and lower neighbours (7/16, 3/16, 5/16, 1/16)
+ * @private
+ */
+function diffuseError(errors, data, width, height, x, y, error) {
+  const neighbours = [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]];
+  for (const [dx, dy, share] of neighbours) {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || nx >= width || ny >= height) continue;
+
+    const index = ny * width + nx;
+    if (data[index * 4 + 3] === 0) continue;
+    for (let c = 0; c < 3; c++) {
+      errors[index * 3 + c] += error[c] * share;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function nearestColor(rgb, palette) {
+  let best = palette[0];
+  let bestDistance = Infinity;
+  for (const color of palette) {
+    const distance = (rgb[0] - color[0]) ** 2 + (rgb[1] - color[1]) ** 2 + (rgb[2] - color[2]) ** 2;
+    if (distance < bestDistance) {
+      best = color;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Color the transparent sprite cells that touch an opaque sprite cell (4-neighbourhood)
+ * @private
+ */
+function drawOutline(data, sprite, width, height, color) {
+  const opaque = (x, y) => x >= 0 && y >= 0 && x < width && y < height && sprite[(y * width + x) * 4 + 3] > 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (opaque(x, y)) continue;
+      if (opaque(x - 1, y) || opaque(x + 1, y) || opaque(x, y - 1) || opaque(x, y + 1)) {
+        const i = (y * width + x) * 4;
+        data[i] = color[0];
+        data[i + 1] = color[1];
+        data[i + 2] = color[2];
+        data[i + 3] = 255;
+      }
+    }
+  }
+}
+
+/**
+ * Nearest-neighbour upscale from the grid to the output size
+ * @private
+ */
+function upscale(cells, grid, width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(grid.height - 1, Math.floor(y * grid.height / height));
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(grid.width - 1, Math.floor(x * grid.width / width));
+      const source = (gy * grid.width + gx) * 4;
+      const target = (y * width + x) * 4;
+      data[target] = cells[source];
+      data[target + 1] = cells[source + 1];
+      data[target + 2] = cells[source + 2];
+      data[target + 3] = cells[source + 3];
+    }
+  }
+  return data;
+}
+
+module.exports = { pixelArt, resolvePixelArtOptions, describePixelArt, PALETTES };
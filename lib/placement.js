@@ -0,0 +1,139 @@
+/**
+ * Declarative layer placement
+ *
+ * A placement describes where a component is drawn on the canvas:
+ * - `scale`: 'fit' (default), 'cover', 'stretch' or 'native'
+ * - `maxWidth` / `maxHeight`: size of the box the component is scaled into, as a fraction of the canvas (default: 1)
+ * - `stretchX` / `stretchY`: extra scale factor per axis applied after scaling (default: 1)
+ * - `anchor`: where the component sits in the free space of the canvas; a name such as
+ *   'center', 'top' or 'bottom-left', or `{ x, y }` fractions (default: 'center')
+ * - `offsetX` / `offsetY`: offset added after anchoring, as a fraction of the canvas (default: 0)
+ *
+ * Placements are resolved from the defaults for the layer type and category, then the
+ * `placement` of the layerConfig entry, then the component's sidecar metadata.
+ * @module placement
+ */
+
+const ANCHORS = {
+  'center': { x: 0.5, y: 0.5 },
+  'top': { x: 0.5, y: 0 },
+  'bottom': { x: 0.5, y: 1 },
+  'left': { x: 0, y: 0.5 },
+  'right': { x: 1, y: 0.5 },
+  'top-left': { x: 0, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  'bottom-left': { x: 0, y: 1 },
+  'bottom-right': { x: 1, y: 1 }
+};
+
+// Defaults per layer type; these reproduce the original hardcoded drawLayer geometry
+const TYPE_PLACEMENTS = {
+  background: { scale: 'stretch' },
+  base: { scale: 'fit', anchor: { x: 0.5, y: 0.4 } },
+  feature: { scale: 'fit', maxWidth: 0.8, maxHeight: 0.5, anchor: 'top', offsetY: 0.3 },
+  outfit: { scale: 'fit', maxWidth: 0.9, maxHeight: 0.9, stretchX: 1.15, anchor: 'top', offsetY: 0.1 },
+  accessory: { scale: 'fit', maxWidth: 0.7, maxHeight: 0.5, anchor: 'top', offsetY: 0.2 }
+};
+
+// Category defaults for accessory-like layers
+const CATEGORY_PLACEMENTS = {
+  hats: { offsetY: 0.05 },
+  neck: { offsetY: 0.69 },
+  binky: { offsetY: 0.4 }
+};
+
+const SCALE_MODES = ['fit', 'cover', 'stretch', 'native'];
+
+/**
+ * Resolve the placement for a layer
+ * @param {Object} layerInfo - Layer information (`category`, `type`, optional `placement`)
+ * @param {Object} overrides - Placement overrides from the component's metadata
+ * @returns {Object} Resolved placement
+ */
+function resolvePlacement(layerInfo = {}, overrides = {}) {
+  const { category, type } = layerInfo;
+  // Unknown types (e.g. 'special') are placed like accessories, including the category offsets
+  const accessoryLike = !TYPE_PLACEMENTS[type] || type === 'accessory';
+
+  const placement = {
+    ...(accessoryLike ? TYPE_PLACEMENTS.accessory : TYPE_PLACEMENTS[type]),
+    ...(accessoryLike ? CATEGORY_PLACEMENTS[category] : {}),
+    ...layerInfo.placement,
+    ...overrides
+  };
+
+  if (!SCALE_MODES.includes(placement.scale)) {
+    throw new Error(`Invalid scale mode "${placement.scale}" for ${category}; expected one of ${SCALE_MODES.join(', ')}`);
+  }
+
+  return placement;
+}
+
+/**
+ * Compute the rectangle to draw a component into
+ * @param {Object} placement - Resolved placement
+ * @param {number} imageWidth - Component width
+ * @param {number} imageHeight - Component height
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {Object} `{ x, y, width, height }`
+ */
+function computeRect(placement, imageWidth, imageHeight, canvasWidth, canvasHeight) {
+  const {
+    scale = 'fit',
+    maxWidth = 1,
+    maxHeight = 1,
+    stretchX = 1,
+    stretchY = 1,
+    offsetX = 0,
+    offsetY = 0
+  } = placement;
+
+  // Operation order mirrors the original drawLayer arithmetic so default placements
+  // produce bit-identical rectangles
+  const boxWidth = canvasWidth * maxWidth;
+  const boxHeight = canvasHeight * maxHeight;
+  const fit = Math.min(canvasWidth / imageWidth * maxWidth, canvasHeight / imageHeight * maxHeight);
+
+  let width;
+  let height;
+
+  if (scale === 'stretch') {
+    width = boxWidth * stretchX;
+    height = boxHeight * stretchY;
+  } else {
+    let factor = fit;
+    if (scale === 'cover') {
+      factor = Math.max(canvasWidth / imageWidth * maxWidth, canvasHeight / imageHeight * maxHeight);
+    } else if (scale === 'native') {
+      // Draw at the component's own size unless it's larger than the box
+      factor = Math.min(1, fit);
+    }
+    width = imageWidth * (factor * stretchX);
+    height = imageHeight * (factor * stretchY);
+  }
+
+  const anchor = resolveAnchor(placement.anchor);
+
+  return {
+    x: (canvasWidth - width) * anchor.x + canvasWidth * offsetX,
+    y: (canvasHeight - height) * anchor.y + canvasHeight * offsetY,
+    width,
+    height
+  };
+}
+
+/**
+ * @private
+ */
+function resolveAnchor(anchor = 'center') {
+  if (typeof anchor === 'object') {
+    return { x: anchor.x ?? 0.5, y: anchor.y ?? 0.5 };
+  }
+  if (!ANCHORS[anchor]) {
+    throw new Error(`Invalid anchor "${anchor}"; expected one of ${Object.keys(ANCHORS).join(', ')} or { x, y }`);
+  }
+  return ANCHORS[anchor];
+}
+
+module.exports = { resolvePlacement, computeRect, TYPE_PLACEMENTS, CATEGORY_PLACEMENTS };
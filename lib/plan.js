@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeRarity, formatSummary } = require('./rarity');
+
+/**
+ * Batch plans: dry runs of generateMultiple() made by Generator#plan()
+ *
+ * A plan lists every NFT's seed, species, DNA, attributes and full component selection
+ * (components, sidecar metadata, effects and colors), and the projected trait distribution as
+ * a rarity report (see rarity.js). Rendering a plan draws the stored selections instead of
+ * selecting again, so it produces exactly the planned NFTs even when the component listings
+ * have changed since, as long as the planned component URLs can still be read.
+ * @module plan
+ */
+
+const PLAN_VERSION = 1;
+
+/**
+ * Projected trait distribution of planned NFTs
+ * @param {Array<Object>} items - Plan items (`id`, `species`, `attributes`)
+ * @param {Object} expected - Expected weights, `{ [trait_type]: { [value]: weight } }`, e.g. from
+ *   rarity.expectedFromComponents()
+ * @returns {Object} Rarity report (`total`, `traits`, `tokens`, `flags`), see rarity.analyzeRarity()
+ */
+function projectDistribution(items, expected = {}) {
+  const entries = items.map(({ id, species, attributes }) => ({ id, species, metadata: { attributes } }));
+  return analyzeRarity(entries, { expected });
+}
+
+/**
+ * Save a plan as JSON
+ * @param {Object} plan - Plan from Generator#plan()
+ * @param {string} file - Destination path
+ * @returns {string} The path written
+ */
+function writePlan(plan, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  // Plans of large batches are big; they are written without indentation
+  fs.writeFileSync(file, JSON.stringify(plan));
+  return file;
+}
+
+/**
+ * Read and check a plan
+ * @param {Object|string} source - Plan object or path of a saved plan
+ * @returns {Object} The plan
+ */
+function readPlan(source) {
+  const plan = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+
+  if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.items)) {
+    throw new Error(`Not a batch plan (version ${PLAN_VERSION})${typeof source === 'string' ? `: ${source}` : ''}`);
+  }
+  for (const item of plan.items) {
+    if (item.id === undefined || !item.species || !Array.isArray(item.selection)) {
+      throw new Error(`Plan item ${item.id ?? '?'} is missing its id, species or selection`);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Render job of a planned NFT, as Generator#prepareNFT() would have made it
+ * @param {Object} item - Plan item
+ * @param {boolean} includePixelated - Also render the pixelated version
+ * @returns {Object} `{ id, seed, species, dna, selection, includePixelated }`
+ */
+function planJob(item, includePixelated = true) {
+  const { id, seed, species, dna, selection } = item;
+  return { id, seed, species, dna, selection, includePixelated };
+}
+
+/**
+ * Human-readable summary of a plan: its range and failures, then the projected distribution
+ * @param {Object} plan - Plan from Generator#plan()
+ * @param {Object} options - Options for rarity.formatSummary() (`top`)
+ * @returns {string} Summary text
+ */
+function formatPlan(plan, options = {}) {
+  const lastId = plan.startId + plan.count - 1;
+  const lines = [`=== PLAN: ${plan.items.length}/${plan.count} NFTs (ids ${plan.startId}-${lastId}, seed ${plan.seed ?? 'random per NFT'}) ===`];
+
+  for (const { id, error } of plan.failures || []) {
+    lines.push(`❌ #${id}: ${error}`);
+  }
+  lines.push('', formatSummary(plan.distribution, options).replace('RARITY REPORT', 'PROJECTED RARITY'));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PLAN_VERSION,
+  projectDistribution,
+  writePlan,
+  readPlan,
+  planJob,
+  formatPlan
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readCollection, findTokenFiles } = require('./utils/collection');
+const { getFormatter, resolveMetadataOptions, fillTemplate, toHexId } = require('./metadata');
+
+/**
+ * Provenance hash and starting-index reveal
+ *
+ * Before the reveal, the collection is committed to by hashing every final image (SHA-256) in
+ * generated id order and hashing the concatenation of those hex digests: the provenance hash.
+ *
+ * At reveal, a seed nobody controlled in advance (e.g. a block hash) picks a starting index
+ * `sha256(seed) mod count`. Token `startTokenId + i` then gets the NFT generated at position
+ * `(i + startingIndex) mod count`, and its metadata is rewritten with the token id.
+ *
+ * Sources are an output folder, the results of generateNFT() or a generateMultiple() summary.
+ * @module provenance
+ */
+
+// Written next to the revealed metadata; lib/ipfs.js reads it to map token ids back
+const REVEAL_FILE = 'reveal.json';
+
+/**
+ * Hash every final image and the collection
+ * @param {string|Array<Object>|Object} source - Output folder, generateNFT() results or a
+ *   generateMultiple() summary
+ * @returns {Object} `{ algorithm, provenance, count, tokens: [{ id, species, image, hash }] }`
+ */
+function computeProvenance(source) {
+  const entries = loadEntries(source);
+  if (entries.length === 0) {
+    throw new Error('No NFTs to compute the provenance of');
+  }
+  return hashEntries(entries);
+}
+
+/**
+ * Starting index for a reveal seed
+ * @param {string|number} seed - Reveal seed
+ * @param {number} count - Number of NFTs
+ * @returns {number} Index from 0 to count - 1
+ */
+function getStartingIndex(seed, count) {
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error(`Collection size must be a positive integer, got ${count}`);
+  }
+  return Number(BigInt(`0x${sha256(String(seed))}`) % BigInt(count));
+}
+
+/**
+ * Token id for each generated id, shifted by the starting index
+ * @param {Array<number>} generatedIds - Generated ids
+ * @param {number} startingIndex - Index from getStartingIndex()
+ * @param {number} startTokenId - First token id (default: the lowest generated id)
+ * @returns {Array<Object>} `{ tokenId, generatedId }` in token id order
+ */
+function mapTokenIds(generatedIds, startingIndex, startTokenId = Math.min(...generatedIds)) {
+  const ids = [...generatedIds].sort((a, b) => a - b);
+  return ids.map((_, index) => ({
+    tokenId: startTokenId + index,
+    generatedId: ids[(index + startingIndex) % ids.length]
+  }));
+}
+
+/**
+ * Reveal a collection: write each generated NFT's metadata under its token id
+ * @param {string|Array<Object>|Object} source - Output folder, generateNFT() results or a
+ *   generateMultiple() summary
+ * @param {string|number} seed - Reveal seed
+ * @param {Object} options - Reveal options
+ * @param {string} options.out - Folder for the revealed collection (default: `<folder>/revealed`)
+ * @param {number} options.startTokenId - First token id (default: the lowest generated id)
+ * @param {string} options.provenance - Published provenance hash; the reveal fails if the images changed
+ * @param {Object} options.metadata - Metadata options whose `name`, `description` and
+ *   `externalUrl` templates are re-filled with the token id
+ * @param {string|Object} options.format - Metadata format naming the files (default: as the source files)
+ * @returns {Object} `{ seed, startingIndex, provenance, out, tokens: [{ tokenId, generatedId, species, metadataPath }] }`
+ */
+function reveal(source, seed, options = {}) {
+  const entries = loadEntries(source);
+  if (entries.length === 0) {
+    throw new Error('No NFTs to reveal');
+  }
+
+  const { provenance } = hashEntries(entries);
+  if (options.provenance && options.provenance !== provenance) {
+    throw new Error(`Provenance mismatch: published ${options.provenance}, images hash to ${provenance}`);
+  }
+
+  const {
+    out = path.join(path.dirname(entries[0].metadataPath), 'revealed'),
+    startTokenId,
+    metadata: metadataOptions = {},
+    format
+  } = options;
+  const templates = resolveMetadataOptions(metadataOptions);
+
+  const startingIndex = getStartingIndex(seed, entries.length);
+  const byId = new Map(entries.map(entry => [entry.id, entry]));
+  const mapping = mapTokenIds([...byId.keys()], startingIndex, startTokenId);
+  console.log(`[reveal] Starting index ${startingIndex} of ${entries.length}`);
+
+  fs.mkdirSync(out, { recursive: true });
+  const tokens = mapping.map(({ tokenId, generatedId }) => {
+    const entry = byId.get(generatedId);
+    const formatter = getFormatter(format || inferFormat(entry.metadataPath, generatedId));
+    const metadataPath = path.join(out, formatter.fileName({ id: tokenId, species: entry.species }));
+
+    fs.writeFileSync(metadataPath, JSON.stringify(renumber(entry.metadata, entry.species, generatedId, tokenId, templates), null, 2));
+    linkTokenFiles(path.dirname(entry.imagePath), out, entry.species, generatedId, tokenId);
+
+    return { tokenId, generatedId, species: entry.species, metadataPath };
+  });
+
+  const summary = { seed: String(seed), startingIndex, provenance, out, tokens };
+  fs.writeFileSync(path.join(out, REVEAL_FILE), JSON.stringify(summary, null, 2));
+  return summary;
+}
+
+/**
+ * Token id to generated id mapping of a revealed folder
+ * @param {string} folder - Folder written by reveal()
+ * @returns {Map<number, number>} Generated id by token id (empty when the folder wasn't revealed)
+ */
+function readRevealMapping(folder) {
+  const file = path.join(folder, REVEAL_FILE);
+  if (!fs.existsSync(file)) {
+    return new Map();
+  }
+  const { tokens = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Map(tokens.map(token => [token.tokenId, token.generatedId]));
+}
+
+/**
+ * Entries `{ id, species, metadata, metadataPath, imagePath }` sorted by id
+ * @private
+ */
+function loadEntries(source) {
+  if (typeof source === 'string') {
+    return readCollection(source).map(entry => ({
+      id: entry.id,
+      species: entry.species,
+      metadata: entry.metadata,
+      metadataPath: entry.file,
+      imagePath: path.join(source, `${entry.species}_nft_${entry.id}.png`)
+    }));
+  }
+
+  const results = Array.isArray(source) ? source : (source && source.results);
+  if (!Array.isArray(results)) {
+    throw new Error('Source must be an output folder, generateNFT() results or a generateMultiple() summary');
+  }
+  return results
+    .map(result => ({
+      id: result.id,
+      species: result.species,
+      metadata: result.metadata,
+      metadataPath: result.metadataPath,
+      imagePath: result.nftPath
+    }))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * @private
+ */
+function hashEntries(entries) {
+  const tokens = entries.map(({ id, species, imagePath }) => {
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      throw new Error(`Image of NFT #${id} not found: ${imagePath}`);
+    }
+    return { id, species, image: path.basename(imagePath), hash: sha256(fs.readFileSync(imagePath)) };
+  });
+
+  return {
+    algorithm: 'sha256',
+    provenance: sha256(tokens.map(token => token.hash).join('')),
+    count: tokens.length,
+    tokens
+  };
+}
+
+/**
+ * Metadata with the generated id replaced by the token id: the `id` field, and the name,
+ * description and external URL when they match their template for the generated id
+ * @private
+ */
+function renumber(metadata, species, generatedId, tokenId, templates) {
+  const result = { ...metadata };
+  if (typeof result.id === 'number') {
+    result.id = tokenId;
+  }
+
+  const fields = { name: templates.name, description: templates.description, external_url: templates.externalUrl };
+  for (const [field, template] of Object.entries(fields)) {
+    if (template && result[field] === fillTemplate(template, { id: generatedId, species })) {
+      result[field] = fillTemplate(template, { id: tokenId, species });
+    }
+  }
+  return result;
+}
+
+/**
+ * Hard-link (or copy) a generated NFT's files under its token id
+ * @private
+ */
+function linkTokenFiles(folder, out, species, generatedId, tokenId) {
+  const prefix = `${species}_nft_${generatedId}`;
+  for (const fileName of findTokenFiles(fs.readdirSync(folder), species, generatedId)) {
+    const target = path.join(out, `${species}_nft_${tokenId}${fileName.slice(prefix.length)}`);
+    fs.rmSync(target, { force: true });
+    try {
+      fs.linkSync(path.join(folder, fileName), target);
+    } catch (error) {
+      fs.copyFileSync(path.join(folder, fileName), target);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function inferFormat(metadataPath, id) {
+  return path.basename(metadataPath) === `${toHexId(id)}.json` ? 'erc1155' : 'legacy';
+}
+
+/**
+ * @private
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+  computeProvenance,
+  getStartingIndex,
+  mapTokenIds,
+  reveal,
+  readRevealMapping
+};
@@ -0,0 +1,315 @@
+const { readCollection } = require('./utils/collection');
+const { parseComponentName, filterTagged, componentWeights } = require('./utils/components');
+
+/**
+ * Collection rarity report
+ *
+ * Reads generated metadata and computes, per trait type and value, how many tokens have it.
+ * Tokens without a trait type count as `none` for it. Every token gets two scores:
+ * - `statisticalRarity`: product of its traits' frequencies (lower is rarer)
+ * - `informationContent`: sum of -log2(frequency) over its traits, in bits (higher is rarer)
+ * Tokens are ranked by information content, rarest first.
+ *
+ * With expected weights (e.g. from the component listings, see expectedFromComponents()), traits
+ * that never appeared and traits that appear far more often than their weight predicts are flagged.
+ * An expected trait type no token has at all is flagged once, not with every one of its values.
+ * @module rarity
+ */
+
+const NONE = 'none';
+
+/**
+ * Build a rarity report for generated NFTs
+ * @param {Array<Object>} entries - Entries from readCollection() (`id`, `species`, `metadata`)
+ * @param {Object} options - Report options
+ * @param {Object} options.expected - Expected weights: `{ [trait_type]: { [value]: weight } }`
+ * @param {number} options.tolerance - Standard deviations above the expected count before a trait
+ *   is flagged as over-weight (default: 3)
+ * @returns {Object} `{ total, traits, tokens, flags }`; flags are `{ missing, overweight, missingTypes }`
+ */
+function analyzeRarity(entries, options = {}) {
+  const { expected = {}, tolerance = 3 } = options;
+  const total = entries.length;
+
+  const tokens = entries.map(({ id, species, metadata }) => {
+    const traits = {};
+    for (const attribute of metadata.attributes || []) {
+      traits[attribute.trait_type] = String(attribute.value);
+    }
+    return { id, species, traits };
+  });
+
+  // trait type -> value -> count, including "none" for tokens without the trait type
+  const traitTypes = [...new Set(tokens.flatMap(token => Object.keys(token.traits)))].sort();
+  const counts = new Map(traitTypes.map(type => [type, new Map()]));
+  for (const token of tokens) {
+    for (const type of traitTypes) {
+      const value = token.traits[type] ?? NONE;
+      const values = counts.get(type);
+      values.set(value, (values.get(value) || 0) + 1);
+    }
+  }
+
+  const traits = [];
+  for (const [type, values] of counts) {
+    for (const [value, count] of values) {
+      traits.push({ trait_type: type, value, count, percent: toPercent(count, total) });
+    }
+  }
+  traits.sort((a, b) => a.trait_type.localeCompare(b.trait_type) || a.count - b.count || a.value.localeCompare(b.value));
+
+  for (const token of tokens) {
+    let statisticalRarity = 1;
+    let informationContent = 0;
+    for (const type of traitTypes) {
+      const frequency = counts.get(type).get(token.traits[type] ?? NONE) / total;
+      statisticalRarity *= frequency;
+      informationContent -= Math.log2(frequency);
+    }
+    token.statisticalRarity = statisticalRarity;
+    token.informationContent = round(informationContent);
+  }
+
+  const ranked = [...tokens].sort((a, b) => b.informationContent - a.informationContent || a.id - b.id);
+  ranked.forEach((token, index) => { token.rank = index + 1; });
+
+  return {
+    total,
+    traits,
+    tokens: ranked,
+    flags: flagTraits(counts, total, expected, tolerance)
+  };
+}
+
+/**
+ * Read a generator output folder and build its rarity report
+ * @param {string} folder - Output folder with `<species>_nft_<id>.json` files
+ * @param {Object} options - Options for analyzeRarity()
+ * @returns {Object} Rarity report
+ */
+function analyzeFolder(folder, options = {}) {
+  return analyzeRarity(readCollection(folder), options);
+}
+
+/**
+ * Expected weights from a layerConfig's `weights` manifests
+ * @param {Array<Object>} layerConfig - Generator layer configuration
+ * @returns {Object} `{ [category]: { [trait]: weight } }`
+ */
+function expectedFromLayerConfig(layerConfig = []) {
+  const expected = {};
+  for (const layerInfo of layerConfig) {
+    if (layerInfo.weights) {
+      expected[layerInfo.category] = { ...expected[layerInfo.category], ...layerInfo.weights };
+    }
+  }
+  return expected;
+}
+
+/**
+ * Expected weights from the components in storage, weighted the way selection weighs them:
+ * `#<weight>` file name suffixes, component manifest weights and layerConfig `weights`. Each
+ * species' layer contributes its trait shares in proportion to how many tokens it has
+ * @param {Object} storage - Storage provider with listComponents()
+ * @param {Array<Object>} layerConfig - Generator layer configuration
+ * @param {Object|Array<string>} species - Token count per species (see countSpecies()), or species
+ *   names counted equally
+ * @returns {Promise<Object>} `{ [category]: { [trait]: weight } }`
+ */
+async function expectedFromComponents(storage, layerConfig = [], species = {}) {
+  const speciesCounts = Array.isArray(species) ? Object.fromEntries(species.map(name => [name, 1])) : species;
+  const expected = {};
+
+  for (const layerInfo of layerConfig) {
+    for (const [name, count] of Object.entries(speciesCounts)) {
+      const components = filterTagged(await storage.listComponents(layerInfo, name), layerInfo);
+      const candidates = componentWeights(components, layerInfo);
+      const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+      if (totalWeight <= 0) continue;
+
+      const weights = expected[layerInfo.category] || (expected[layerInfo.category] = {});
+      for (const { component, weight } of candidates) {
+        const trait = component.trait || parseComponentName(component.name).trait;
+        weights[trait] = (weights[trait] || 0) + count * weight / totalWeight;
+      }
+    }
+  }
+  return expected;
+}
+
+/**
+ * Number of tokens per species
+ * @param {Array<Object>} entries - Entries from readCollection() (`species`)
+ * @returns {Object} `{ [species]: count }`
+ */
+function countSpecies(entries) {
+  const counts = {};
+  for (const { species } of entries) {
+    counts[species] = (counts[species] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Tokens as CSV: id, species, rank, scores and one column per trait type
+ * @param {Object} report - Report from analyzeRarity()
+ * @returns {string} CSV
+ */
+function tokensToCSV(report) {
+  const traitTypes = [...new Set(report.traits.map(trait => trait.trait_type))];
+  const rows = [['id', 'species', 'rank', 'information_content', 'statistical_rarity', ...traitTypes]];
+
+  for (const token of report.tokens) {
+    rows.push([
+      token.id,
+      token.species,
+      token.rank,
+      token.informationContent,
+      token.statisticalRarity,
+      ...traitTypes.map(type => token.traits[type] ?? NONE)
+    ]);
+  }
+  return toCSV(rows);
+}
+
+/**
+ * Trait counts as CSV: trait_type, value, count, percent
+ * @param {Object} report - Report from analyzeRarity()
+ * @returns {string} CSV
+ */
+function traitsToCSV(report) {
+  const rows = [['trait_type', 'value', 'count', 'percent']];
+  for (const trait of report.traits) {
+    rows.push([trait.trait_type, trait.value, trait.count, trait.percent]);
+  }
+  return toCSV(rows);
+}
+
+/**
+ * Human-readable summary of a report
+ * @param {Object} report - Report from analyzeRarity()
+ * @param {Object} options - `top`: number of rarest tokens to list (default: 10)
+ * @returns {string} Summary text
+ */
+function formatSummary(report, options = {}) {
+  const { top = 10 } = options;
+  const lines = [`=== RARITY REPORT (${report.total} NFTs) ===`];
+
+  let currentType = null;
+  for (const trait of report.traits) {
+    if (trait.trait_type !== currentType) {
+      currentType = trait.trait_type;
+      lines.push('', `${currentType}:`);
+    }
+    lines.push(`  ${trait.value.padEnd(24)} ${String(trait.count).padStart(6)}  ${trait.percent.toFixed(2).padStart(6)}%`);
+  }
+
+  lines.push('', `Rarest ${Math.min(top, report.tokens.length)} NFTs:`);
+  for (const token of report.tokens.slice(0, top)) {
+    lines.push(`  #${token.rank} ${token.species} #${token.id}: ${token.informationContent} bits`);
+  }
+
+  const { missing, overweight, missingTypes = [] } = report.flags;
+  if (missingTypes.length > 0) {
+    lines.push('', `⚠️ Trait types no NFT has: ${missingTypes.join(', ')}`);
+  }
+  if (missing.length > 0) {
+    lines.push('', '⚠️ Traits that never appeared:');
+    for (const flag of missing) {
+      lines.push(`  ${flag.trait_type}: ${flag.value} (expected ${flag.expectedPercent.toFixed(2)}%)`);
+    }
+  }
+  if (overweight.length > 0) {
+    lines.push('', '⚠️ Traits above their expected weight:');
+    for (const flag of overweight) {
+      lines.push(`  ${flag.trait_type}: ${flag.value} ${flag.percent.toFixed(2)}% (expected ${flag.expectedPercent.toFixed(2)}%)`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Compare observed counts with the expected weights
+ * @private
+ */
+function flagTraits(counts, total, expected, tolerance) {
+  const missing = [];
+  const overweight = [];
+  const missingTypes = [];
+
+  for (const [type, weights] of Object.entries(expected)) {
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) continue;
+
+    // No token has the trait type, e.g. a weights key that isn't a trait_type of the metadata
+    const values = counts.get(type);
+    if (!values) {
+      missingTypes.push(type);
+      continue;
+    }
+
+    // Only tokens that have the trait type are drawn from its weights
+    const drawn = total - (values.get(NONE) || 0);
+
+    for (const [value, weight] of Object.entries(weights)) {
+      const share = weight / totalWeight;
+      const count = values.get(value) || 0;
+      const expectedCount = drawn * share;
+
+      if (count === 0 && weight > 0) {
+        missing.push({ trait_type: type, value, expectedCount: round(expectedCount), expectedPercent: toPercent(share, 1) });
+        continue;
+      }
+
+      const deviation = Math.sqrt(drawn * share * (1 - share));
+      if (count > expectedCount + tolerance * Math.max(deviation, 1)) {
+        overweight.push({
+          trait_type: type,
+          value,
+          count,
+          expectedCount: round(expectedCount),
+          percent: toPercent(count, drawn),
+          expectedPercent: toPercent(share, 1)
+        });
+      }
+    }
+  }
+
+  return { missing, overweight, missingTypes };
+}
+
+/**
+ * @private
+ */
+function toCSV(rows) {
+  return rows.map(row => row.map(cell => {
+    const text = String(cell);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\n') + '\n';
+}
+
+/**
+ * @private
+ */
+function toPercent(count, total) {
+  return total > 0 ? round(count / total * 100) : 0;
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  analyzeRarity,
+  analyzeFolder,
+  expectedFromLayerConfig,
+  expectedFromComponents,
+  countSpecies,
+  tokensToCSV,
+  traitsToCSV,
+  formatSummary
+};
@@ -0,0 +1,153 @@
+/**
+ * Trait compatibility rules
+ *
+ * Rules are declared in the generator config and checked while layers are selected:
+ *
+ *   rules: [
+ *     // A helmet covers the mouth, so never draw a binky with it
+ *     { if: { hats: 'space_helmet' }, excludes: { binky: '*' } },
+ *     // A tuxedo must come with a bow tie
+ *     { if: { clothing: 'tuxedo' }, requires: { neck: 'bow_tie' } },
+ *     // Hoodies only go with these neck pieces (or none)
+ *     { if: { clothing: 'hoodie' }, pickFrom: { neck: ['scarf', 'chain'] } }
+ *   ]
+ *
+ * Conditions and targets map a category to a trait value, a list of values or '*' (any value).
+ * @module rules
+ */
+
+const RULE_KINDS = ['excludes', 'requires', 'pickFrom'];
+
+class RuleEngine {
+  /**
+   * Create a rule engine
+   * @param {Array<Object>} rules - Rule definitions
+   */
+  constructor(rules = []) {
+    this.rules = rules.map((rule, index) => normalizeRule(rule, index));
+  }
+
+  /**
+   * Check whether a candidate value can be added to the current selection
+   * @param {Map<string, string|null>} selections - Decided categories (null = layer skipped)
+   * @param {string} category - Category being selected
+   * @param {string|null} value - Candidate trait value
+   * @returns {boolean} True if no rule is broken
+   */
+  allows(selections, category, value) {
+    return this.check(withSelection(selections, category, value)).length === 0;
+  }
+
+  /**
+   * Find rules broken by a selection. Rules that depend on categories that
+   * haven't been decided yet are not reported.
+   * @param {Map<string, string|null>} selections - Decided categories (null = layer skipped)
+   * @returns {Array<string>} Descriptions of the broken rules
+   */
+  check(selections) {
+    const violations = [];
+
+    for (const rule of this.rules) {
+      if (!conditionMatches(rule.if, selections)) continue;
+
+      for (const [category, values] of Object.entries(rule.target)) {
+        if (!selections.has(category)) continue;
+        const selected = selections.get(category);
+
+        if (rule.kind === 'excludes' && selected !== null && valueMatches(values, selected)) {
+          violations.push(`${rule.description}: got ${category}=${selected}`);
+        } else if (rule.kind === 'requires' && (selected === null || !valueMatches(values, selected))) {
+          violations.push(`${rule.description}: got ${category}=${selected === null ? 'none' : selected}`);
+        } else if (rule.kind === 'pickFrom' && selected !== null && !valueMatches(values, selected)) {
+          violations.push(`${rule.description}: got ${category}=${selected}`);
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Whether any rules are configured
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.rules.length === 0;
+  }
+}
+
+/**
+ * Validate a rule definition and convert it to the internal shape
+ * @private
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule.if !== 'object') {
+    throw new Error(`Invalid rule #${index + 1}: missing "if" condition`);
+  }
+
+  const kinds = RULE_KINDS.filter(kind => rule[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`Invalid rule #${index + 1}: expected exactly one of ${RULE_KINDS.join(', ')}`);
+  }
+
+  const kind = kinds[0];
+  const condition = normalizeTraits(rule.if);
+  const target = normalizeTraits(rule[kind]);
+
+  return {
+    kind,
+    if: condition,
+    target,
+    description: rule.description || `Rule #${index + 1} (${describeTraits(condition)} ${kind} ${describeTraits(target)})`
+  };
+}
+
+/**
+ * Convert `{ category: value | [values] | '*' }` to `{ category: [values] | '*' }`
+ * @private
+ */
+function normalizeTraits(traits) {
+  const normalized = {};
+  for (const [category, values] of Object.entries(traits)) {
+    normalized[category] = values === '*' ? '*' : [].concat(values).map(String);
+  }
+  return normalized;
+}
+
+/**
+ * @private
+ */
+function describeTraits(traits) {
+  return Object.entries(traits)
+    .map(([category, values]) => `${category}=${values === '*' ? '*' : values.join('|')}`)
+    .join(', ');
+}
+
+/**
+ * @private
+ */
+function valueMatches(values, value) {
+  return values === '*' || values.includes(value);
+}
+
+/**
+ * A condition matches once all of its categories are decided and selected with a matching value
+ * @private
+ */
+function conditionMatches(condition, selections) {
+  return Object.entries(condition).every(([category, values]) => {
+    const selected = selections.get(category);
+    return selected !== undefined && selected !== null && valueMatches(values, selected);
+  });
+}
+
+/**
+ * @private
+ */
+function withSelection(selections, category, value) {
+  const next = new Map(selections);
+  next.set(category, value);
+  return next;
+}
+
+module.exports = RuleEngine;
@@ -0,0 +1,92 @@
+const { COMPONENT_MANIFEST } = require('../utils/components');
+
+/**
+ * Component listing cache shared by the storage providers
+ *
+ * Listings are cached per layer (`<species>/<category>`) for `ttl` milliseconds; `Infinity`
+ * keeps them until they are invalidated and `0` turns caching off. A listing that is still
+ * loading is shared, so NFTs generated concurrently list each layer once. The providers also
+ * cache the bucket's component manifest here, under its file name.
+ * @module cache
+ */
+
+// 5 minutes
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+class ListingCache {
+  /**
+   * Create a listing cache
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time to live of a listing in milliseconds (default: 5 minutes)
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cached listing of a layer, loading it when missing or expired
+   * @param {string} key - Layer path, e.g. 'indigo/hats'
+   * @param {Function} load - Returns the listing (or a promise of it)
+   * @returns {Promise<Array<Object>>} Listing
+   */
+  async get(key, load) {
+    const entry = this.entries.get(key);
+    if (entry && Date.now() < entry.expires) {
+      this.hits++;
+      return entry.value;
+    }
+
+    this.misses++;
+    const value = Promise.resolve().then(load);
+    this.set(key, value);
+    // Failed listings are retried on the next call
+    value.catch(() => {
+      if (this.entries.has(key) && this.entries.get(key).value === value) {
+        this.entries.delete(key);
+      }
+    });
+    return value;
+  }
+
+  /**
+   * Store a listing, e.g. one indexed by a provider's prefetch()
+   * @param {string} key - Layer path
+   * @param {Array<Object>|Promise<Array<Object>>} value - Listing
+   */
+  set(key, value) {
+    if (this.ttl > 0) {
+      this.entries.set(key, { value: Promise.resolve(value), expires: Date.now() + this.ttl });
+    }
+  }
+
+  /**
+   * Drop cached listings related to a path: all of them for '' or the bucket's component
+   * manifest, a species' layers for 'indigo', one layer for 'indigo/hats' or 'indigo/hats/cap.png'
+   * @param {string} componentPath - Species, layer or component path
+   */
+  invalidate(componentPath = '') {
+    let target = componentPath.replace(/^\/+|\/+$/g, '');
+    // Every listing applies the bucket's component manifest
+    if (target === COMPONENT_MANIFEST) {
+      target = '';
+    }
+    for (const key of [...this.entries.keys()]) {
+      if (!target || key === target || key.startsWith(`${target}/`) || target.startsWith(`${key}/`)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} `{ hits, misses, layers }`
+   */
+  stats() {
+    return { hits: this.hits, misses: this.misses, layers: this.entries.size };
+  }
+}
+
+module.exports = ListingCache;
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { getMissingMethods } = require('./contract');
+
+/**
+ * Storage provider conformance suite
+ *
+ * Runs the storage provider contract (storage/contract.js) against a provider created over a
+ * small fixture component set. Providers for remote backends run against a local stand-in of
+ * their backend seeded with the same files (see storage/standins.js).
+ *
+ * ```javascript
+ * const report = await runConformance(({ componentsDir, outputDir }) =>
+ *   new MyStorage({ root: componentsDir, out: outputDir }));
+ * ```
+ * @module conformance
+ */
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"><rect width="1" height="1"/></svg>';
+
+// Component files by path below the components root: <species>/<category>/<file>
+const FIXTURE_FILES = {
+  'alpha/background/sky.png': PNG,
+  'alpha/background/space#3.png': PNG,
+  'alpha/background/readme.txt': 'not a component',
+  'alpha/head/round.png': PNG,
+  'alpha/head/square#2.svg': SVG,
+  'alpha/eyes/open.png': PNG,
+  'alpha/eyes/blink#2/1.png': PNG,
+  'alpha/eyes/blink#2/2.png': PNG,
+  'alpha/eyes/blink#2/10.png': PNG,
+  'alpha/eyes/blink.json': JSON.stringify({ animation: { frameDuration: 80 } }),
+  'alpha/hats/cap#0.png': PNG,
+  'alpha/mouth/frown.png': PNG,
+  'alpha/mouth/grin#2.png': PNG,
+  'alpha/mouth/smile_final_v2.png': PNG,
+  'alpha/mouth/manifest.json': JSON.stringify({
+    components: {
+      'smile_final_v2.png': { name: 'Smile', weight: 4, placement: { anchor: 'bottom' } },
+      frown: { enabled: false }
+    }
+  }),
+  'beta/background/sky.png': PNG,
+  // Bucket entries are keyed by layer path; the layer manifest wins key by key
+  'manifest.json': JSON.stringify({
+    components: {
+      'alpha/mouth/grin': { name: 'Grin', tags: ['happy'] },
+      'alpha/mouth/smile_final_v2.png': { name: 'Ignored', tags: ['happy'] }
+    }
+  })
+};
+
+const CHECKS = [
+  ['implements the provider contract', async ({ provider }) => {
+    const missing = getMissingMethods(provider);
+    assert.deepStrictEqual(missing, [], `missing methods: ${missing.join(', ')}`);
+  }],
+
+  ['initialize() resolves to true', async ({ provider }) => {
+    assert.strictEqual(await provider.initialize(), true);
+  }],
+
+  ['listComponents() lists image components sorted by name', async ({ provider }) => {
+    const components = await provider.listComponents(layer('background'), 'alpha');
+    assert.deepStrictEqual(components.map(component => component.name), ['sky.png', 'space#3.png']);
+    assert.deepStrictEqual(components.map(component => component.trait), ['sky', 'space']);
+    assert.deepStrictEqual(components.map(component => component.weight), [1, 3]);
+    assert.deepStrictEqual(components.map(component => component.type), ['bitmap', 'bitmap']);
+    for (const component of components) {
+      assert.ok(typeof component.url === 'string' && component.url.length > 0, `no url for ${component.name}`);
+    }
+    assert.notStrictEqual(components[0].url, components[1].url);
+  }],
+
+  ['listComponents() URLs point at the stored files', async ({ provider }) => {
+    // A "#" left unencoded would turn the rarity weight into a URL fragment
+    const [, space] = await provider.listComponents(layer('background'), 'alpha');
+    const [blink] = await provider.listComponents(layer('eyes', 'feature'), 'alpha');
+    const expected = [
+      [space.url, 'alpha/background/space#3.png'],
+      [blink.frames[2], 'alpha/eyes/blink#2/10.png'],
+      [blink.sidecarUrl, 'alpha/eyes/blink.json']
+    ];
+    for (const [url, storedPath] of expected) {
+      const { pathname, hash } = new URL(url);
+      assert.strictEqual(hash, '', `${url} has a fragment`);
+      assert.ok(decodeURIComponent(pathname).endsWith(`/${storedPath}`), `${url} does not point at ${storedPath}`);
+    }
+  }],
+
+  ['listComponents() keeps species apart', async ({ provider }) => {
+    const components = await provider.listComponents(layer('background'), 'beta');
+    assert.deepStrictEqual(components.map(component => component.name), ['sky.png']);
+  }],
+
+  ['listComponents() lists frame folders as frame sequences', async ({ provider }) => {
+    const components = await provider.listComponents(layer('eyes', 'feature'), 'alpha');
+    assert.deepStrictEqual(components.map(component => component.name), ['blink#2', 'open.png']);
+
+    const [blink, open] = components;
+    assert.strictEqual(blink.trait, 'blink');
+    assert.strictEqual(blink.weight, 2);
+    assert.ok(Array.isArray(blink.frames) && blink.frames.length === 3, 'blink#2 should have 3 frames');
+    assert.ok(/1\.png$/.test(blink.frames[0]) && /2\.png$/.test(blink.frames[1]) && /10\.png$/.test(blink.frames[2]),
+      `frames should be in numeric order: ${blink.frames.join(', ')}`);
+    assert.strictEqual(blink.url, blink.frames[0]);
+    assert.ok(!open.frames, 'single-image components have no frames');
+  }],
+
+  ['listComponents() finds sidecar metadata', async ({ provider }) => {
+    const [blink, open] = await provider.listComponents(layer('eyes', 'feature'), 'alpha');
+    assert.ok(blink.sidecarUrl && /blink\.json$/.test(blink.sidecarUrl), `unexpected sidecarUrl ${blink.sidecarUrl}`);
+    assert.ok(!open.sidecarUrl, 'open.png has no sidecar');
+  }],
+
+  ['listComponents() applies the component manifests', async ({ provider }) => {
+    const components = await provider.listComponents(layer('mouth', 'feature'), 'alpha');
+    assert.deepStrictEqual(components.map(component => component.name), ['grin#2.png', 'smile_final_v2.png']);
+    assert.deepStrictEqual(components.map(component => component.trait), ['Grin', 'Smile']);
+    assert.deepStrictEqual(components.map(component => component.weight), [2, 4]);
+    assert.deepStrictEqual(components.map(component => component.tags), [['happy'], ['happy']]);
+    assert.deepStrictEqual(components[1].overrides, { placement: { anchor: 'bottom' } });
+    assert.ok(!components[0].overrides, 'grin#2.png has no overrides');
+  }],
+
+  ['listComponents() returns [] for a missing layer', async ({ provider }) => {
+    assert.deepStrictEqual(await provider.listComponents(layer('missing'), 'alpha'), []);
+  }],
+
+  ['getRandomComponent() picks by weight with the given random', async ({ provider }) => {
+    // Weights sky 1, space 3: 0.2 * 4 falls on sky, 0.5 * 4 on space
+    const sky = await provider.getRandomComponent(layer('background'), 'alpha', { random: () => 0.2 });
+    const space = await provider.getRandomComponent(layer('background'), 'alpha', { random: () => 0.5 });
+    assert.strictEqual(sky.name, 'sky.png');
+    assert.strictEqual(space.name, 'space#3.png');
+    assert.strictEqual(space.category, 'background');
+    assert.strictEqual(space.type, 'background');
+  }],
+
+  ['getRandomComponent() prefers SVG for base layers', async ({ provider }) => {
+    const head = await provider.getRandomComponent(layer('head', 'base'), 'alpha', { random: () => 0 });
+    assert.strictEqual(head.name, 'square#2.svg');
+  }],
+
+  ['getRandomComponent() applies the filter', async ({ provider }) => {
+    const notSky = await provider.getRandomComponent(layer('background'), 'alpha', {
+      random: () => 0,
+      filter: component => component.trait !== 'sky'
+    });
+    assert.strictEqual(notSky.name, 'space#3.png');
+    assert.strictEqual(await provider.getRandomComponent(layer('background'), 'alpha', { filter: () => false }), null);
+  }],
+
+  ['getRandomComponent() handles empty layers', async ({ provider }) => {
+    await assert.rejects(provider.getRandomComponent(layer('missing'), 'alpha'));
+    assert.strictEqual(await provider.getRandomComponent({ ...layer('missing'), optional: true }, 'alpha'), null);
+    await assert.rejects(provider.getRandomComponent(layer('hats', 'accessory'), 'alpha'));
+    assert.strictEqual(await provider.getRandomComponent({ ...layer('hats', 'accessory'), optional: true }, 'alpha'), null);
+  }],
+
+  ['uploadFile() returns the public URL', async ({ provider, sampleFile }) => {
+    const url = await provider.uploadFile(sampleFile, 'nfts/alpha/1/image.png');
+    assert.ok(typeof url === 'string' && url.length > 0);
+    assert.strictEqual(url, await provider.getPublicUrl('nfts/alpha/1/image.png'));
+  }],
+
+  ['exists() reports uploaded files', async ({ provider, sampleFile }) => {
+    assert.strictEqual(await provider.exists('nfts/alpha/2/image.png'), false);
+    await provider.uploadFile(sampleFile, 'nfts/alpha/2/image.png');
+    assert.strictEqual(await provider.exists('nfts/alpha/2/image.png'), true);
+  }],
+
+  ['uploadFile() overwrites an existing file', async ({ provider, sampleFile }) => {
+    await provider.uploadFile(sampleFile, 'nfts/alpha/3/image.png');
+    await provider.uploadFile(sampleFile, 'nfts/alpha/3/image.png');
+    assert.strictEqual(await provider.exists('nfts/alpha/3/image.png'), true);
+  }],
+
+  ['delete() removes uploaded files', async ({ provider, sampleFile }) => {
+    await provider.uploadFile(sampleFile, 'nfts/alpha/4/image.png');
+    await provider.delete('nfts/alpha/4/image.png');
+    assert.strictEqual(await provider.exists('nfts/alpha/4/image.png'), false);
+    await provider.delete('nfts/alpha/4/image.png');
+  }],
+
+  ['uploadFile() rejects a missing local file', async ({ provider, workDir }) => {
+    await assert.rejects(provider.uploadFile(path.join(workDir, 'missing.png'), 'nfts/alpha/5/image.png'));
+  }],
+
+  // Optional methods; skipped when the provider doesn't implement them
+
+  ['prefetch() indexes the same listings', async ({ provider }) => {
+    const expected = await provider.listComponents(layer('eyes', 'feature'), 'alpha');
+    await provider.refresh();
+    assert.ok(await provider.prefetch() >= 5, 'prefetch() should index every layer of the fixture');
+    assert.deepStrictEqual(await provider.listComponents(layer('eyes', 'feature'), 'alpha'), expected);
+  }, ['prefetch', 'refresh']],
+
+  ['uploadComponent() refreshes the layer listing', async ({ provider, sampleFile }) => {
+    assert.strictEqual((await provider.listComponents(layer('background'), 'beta')).length, 1);
+    const url = await provider.uploadComponent(sampleFile, 'beta/background/stars#2.png');
+    const components = await provider.listComponents(layer('background'), 'beta');
+    assert.deepStrictEqual(components.map(component => component.name), ['sky.png', 'stars#2.png']);
+    assert.strictEqual(components[1].url, url);
+  }, ['uploadComponent']]
+];
+
+/**
+ * Run the conformance checks against a provider
+ * @param {Function} createProvider - Called with `{ files, componentsDir, outputDir }` and returns
+ *   the provider (or a promise of it). `files` maps component paths to contents; `componentsDir`
+ *   holds the same files on disk; `outputDir` is an empty folder for uploads
+ * @param {Object} options - `name` used in the log (default: the provider's class name)
+ * @returns {Promise<Object>} `{ name, passed, failed, skipped, results: [{ check, ok, skipped, error }] }`
+ *   Checks of optional methods the provider doesn't implement are skipped
+ */
+async function runConformance(createProvider, options = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-conformance-'));
+  const componentsDir = path.join(workDir, 'components');
+  const outputDir = path.join(workDir, 'output');
+  const sampleFile = path.join(workDir, 'sample.png');
+
+  try {
+    for (const [filePath, content] of Object.entries(FIXTURE_FILES)) {
+      fs.mkdirSync(path.dirname(path.join(componentsDir, filePath)), { recursive: true });
+      fs.writeFileSync(path.join(componentsDir, filePath), content);
+    }
+    fs.mkdirSync(outputDir);
+    fs.writeFileSync(sampleFile, PNG);
+
+    const provider = await createProvider({ files: { ...FIXTURE_FILES }, componentsDir, outputDir });
+    const name = options.name || (provider && provider.constructor && provider.constructor.name) || 'provider';
+    const results = [];
+
+    for (const [check, run, optionalMethods = []] of CHECKS) {
+      const missing = optionalMethods.filter(method => typeof provider[method] !== 'function');
+      if (missing.length > 0) {
+        results.push({ check, ok: true, skipped: true });
+        console.log(`[runConformance] ➖ ${name}: ${check} (no ${missing.join(', ')})`);
+        continue;
+      }
+
+      try {
+        await run({ provider, sampleFile, workDir });
+        results.push({ check, ok: true });
+        console.log(`[runConformance] ✅ ${name}: ${check}`);
+      } catch (error) {
+        results.push({ check, ok: false, error: error.message });
+        console.log(`[runConformance] ❌ ${name}: ${check}: ${error.message}`);
+      }
+    }
+
+    const failed = results.filter(result => !result.ok).length;
+    const skipped = results.filter(result => result.skipped).length;
+    return { name, passed: results.length - failed - skipped, failed, skipped, results };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * @private
+ */
+function layer(category, type = category) {
+  return { category, type };
+}
+
+module.exports = {
+  runConformance,
+  FIXTURE_FILES
+};
@@ -0,0 +1,72 @@
+/**
+ * Storage provider contract
+ *
+ * Every storage provider implements these methods; all of them return promises:
+ * - `initialize()`: prepare the backend (buckets, folders); resolves to `true` when it is usable
+ * - `listComponents(layerInfo, species)`: every component of `<species>/<layerInfo.category>`,
+ *   sorted by name, as `{ url, type, name, trait, weight, sidecarUrl, frames }`; `[]` when the
+ *   layer has none. Subfolders are frame sequences, `.json` files are sidecars. The component
+ *   manifests `manifest.json` at the root and in the layer folder are applied with
+ *   applyComponentManifest() (utils/components), which drops disabled components and adds
+ *   `tags` and sidecar `overrides`
+ * - `getRandomComponent(layerInfo, species, { random, filter })`: one component picked from
+ *   listComponents() with chooseComponent() (utils/components), plus `category` and `type`
+ * - `uploadFile(filePath, destinationPath)`: store a local file; resolves to its public URL
+ * - `getPublicUrl(destinationPath)`: public URL of a stored file, as uploadFile() returns it
+ * - `exists(destinationPath)`: whether a file is stored
+ * - `delete(destinationPath)`: remove a stored file; removing a missing file is not an error
+ *
+ * Optional methods:
+ * - `readFile(url)`: bytes of a component URL the generator can't fetch itself (anything but
+ *   http(s), file:// or paths); see storage/memory.js
+ * - `prefetch()`: index every layer at once, e.g. with a single bucket listing; resolves to the
+ *   number of layers indexed
+ * - `refresh(layerPath)`: drop cached listings of a species, a layer or (by default) all layers
+ * - `uploadComponent(filePath, componentPath)`: add a component; the layer's cached listing is
+ *   dropped. Resolves to the component URL
+ *
+ * The built-in providers cache listings per layer (storage/cache.js).
+ *
+ * The conformance suite (storage/conformance.js) checks a provider against this contract.
+ * @module contract
+ */
+
+const OPTIONAL_METHODS = ['readFile', 'prefetch', 'refresh', 'uploadComponent'];
+
+const PROVIDER_METHODS = [
+  'initialize',
+  'listComponents',
+  'getRandomComponent',
+  'uploadFile',
+  'getPublicUrl',
+  'exists',
+  'delete'
+];
+
+/**
+ * Contract methods a provider doesn't implement
+ * @param {Object} provider - Storage provider
+ * @returns {Array<string>} Missing method names
+ */
+function getMissingMethods(provider) {
+  return PROVIDER_METHODS.filter(method => !provider || typeof provider[method] !== 'function');
+}
+
+/**
+ * Throw unless a provider implements the whole contract
+ * @param {Object} provider - Storage provider
+ * @param {string} name - Provider name for the error message
+ */
+function assertStorageProvider(provider, name = 'Storage provider') {
+  const missing = getMissingMethods(provider);
+  if (missing.length > 0) {
+    throw new Error(`${name} does not implement the storage provider contract; missing: ${missing.join(', ')}`);
+  }
+}
+
+module.exports = {
+  PROVIDER_METHODS,
+  OPTIONAL_METHODS,
+  getMissingMethods,
+  assertStorageProvider
+};
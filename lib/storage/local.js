@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  COMPONENT_MANIFEST,
+  chooseComponent,
+  buildListing,
+  parseComponentManifest
+} = require('../utils/components');
+const { joinUrl } = require('../utils/remote');
+const ListingCache = require('./cache');
+
+/**
+ * Local filesystem storage provider for NFT generator
+ *
+ * Components are read from `<root>/<species>/<category>/`, with the optional component manifests
+ * `<root>/manifest.json` and `<root>/<species>/<category>/manifest.json`; uploads are copied into
+ * `<outputDir>/<destination>`. URLs are `file://` URLs unless a base URL is configured,
+ * e.g. the address of a static file server in front of the folders.
+ */
+class LocalStorage {
+  /**
+   * Create a new local storage provider
+   * @param {Object} config - Local storage configuration
+   * @param {string} config.root - Components folder (default: './components')
+   * @param {string} config.outputDir - Folder uploads are copied into (default: './storage')
+   * @param {string} config.componentsBaseUrl - Public URL of `root` (default: file:// URLs)
+   * @param {string} config.baseUrl - Public URL of `outputDir` (default: file:// URLs)
+   * @param {number} config.listingCacheTtl - How long component listings are cached in ms (default: 5 minutes)
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: config.debug || false,
+      ...config,
+      root: path.resolve(config.root || './components'),
+      outputDir: path.resolve(config.outputDir || './storage')
+    };
+    this.listingCache = new ListingCache({ ttl: config.listingCacheTtl });
+  }
+
+  /**
+   * Check the components folder and create the output folder
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (!fs.existsSync(this.config.root)) {
+      console.error(`[ERROR] Components folder does not exist: ${this.config.root}`);
+      return false;
+    }
+
+    fs.mkdirSync(this.config.outputDir, { recursive: true });
+    return true;
+  }
+
+  /**
+   * Get a random component for a layer
+   * @param {Object} layerInfo - Layer information
+   * @param {string} species - Species name
+   * @param {Object} options - Selection options
+   * @param {Function} options.random - Random number generator (default: Math.random)
+   * @param {Function} options.filter - Optional predicate limiting the candidate components
+   * @returns {Promise<Object>} Component information
+   */
+  async getRandomComponent(layerInfo, species, options = {}) {
+    const components = await this.listComponents(layerInfo, species);
+    return chooseComponent(components, layerInfo, species, options);
+  }
+
+  /**
+   * List all components of a layer; listings are cached per layer
+   * @param {Object} layerInfo - Layer information
+   * @param {string} species - Species name
+   * @returns {Promise<Array<Object>>} Components sorted by name
+   */
+  async listComponents(layerInfo, species) {
+    const layerPath = `${species}/${layerInfo.category}`;
+    const components = await this.listingCache.get(layerPath, () => this._readComponents(layerPath));
+    return components.slice();
+  }
+
+  /**
+   * Index every layer of the components folder into the listing cache
+   * @returns {Promise<number>} Number of layers indexed
+   */
+  async prefetch() {
+    let layers = 0;
+    for (const species of listFolders(this.config.root)) {
+      for (const category of listFolders(path.join(this.config.root, species))) {
+        const layerPath = `${species}/${category}`;
+        this.listingCache.set(layerPath, await this._readComponents(layerPath));
+        layers++;
+      }
+    }
+
+    if (this.config.debug) {
+      console.log(`[prefetch] Indexed ${layers} layers from ${this.config.root}`);
+    }
+    return layers;
+  }
+
+  /**
+   * Drop cached component listings
+   * @param {string} layerPath - Species or `species/category` to refresh (default: all)
+   * @returns {Promise<void>}
+   */
+  async refresh(layerPath = '') {
+    this.listingCache.invalidate(layerPath);
+  }
+
+  /**
+   * Copy a component into the components folder
+   * @param {string} filePath - Path to local file
+   * @param {string} componentPath - Path inside the components folder, e.g. 'indigo/hats/cap#2.png'
+   * @returns {Promise<string>} URL of the component
+   */
+  async uploadComponent(filePath, componentPath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+
+    const target = resolveInside(this.config.root, componentPath, 'components');
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(filePath, target);
+    this.listingCache.invalidate(componentPath);
+
+    const [species, category, ...rest] = componentPath.split('/');
+    return this._componentUrl(`${species}/${category}`, rest.join('/'));
+  }
+
+  /**
+   * Copy a file into the output folder
+   * @param {string} filePath - Path to local file
+   * @param {string} destinationPath - Path inside the output folder, e.g. 'nfts/indigo/1/image.png'
+   * @returns {Promise<string>} URL of the copy
+   */
+  async uploadFile(filePath, destinationPath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+
+    const target = this._resolveOutputPath(destinationPath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(filePath, target);
+
+    if (this.config.debug) {
+      console.log(`[uploadFile] Copied ${filePath} to ${target}`);
+    }
+
+    return this.getPublicUrl(destinationPath);
+  }
+
+  /**
+   * URL of a copied file
+   * @param {string} destinationPath - Path inside the output folder
+   * @returns {Promise<string>} `baseUrl` URL, or a file:// URL
+   */
+  async getPublicUrl(destinationPath) {
+    return this.config.baseUrl
+      ? joinUrl(this.config.baseUrl, destinationPath)
+      : pathToFileURL(this._resolveOutputPath(destinationPath)).href;
+  }
+
+  /**
+   * Whether a file was copied to the output folder
+   * @param {string} destinationPath - Path inside the output folder
+   * @returns {Promise<boolean>}
+   */
+  async exists(destinationPath) {
+    const target = this._resolveOutputPath(destinationPath);
+    return fs.existsSync(target) && fs.statSync(target).isFile();
+  }
+
+  /**
+   * Remove a copied file; removing a missing file is not an error
+   * @param {string} destinationPath - Path inside the output folder
+   * @returns {Promise<void>}
+   */
+  async delete(destinationPath) {
+    fs.rmSync(this._resolveOutputPath(destinationPath), { force: true });
+  }
+
+  /**
+   * Read a layer's components from disk, see buildListing()
+   * @private
+   */
+  async _readComponents(layerPath) {
+    const folder = path.join(this.config.root, layerPath);
+
+    if (this.config.debug) {
+      console.log(`[listComponents] Reading components from ${folder}`);
+    }
+
+    if (!fs.existsSync(folder)) {
+      return [];
+    }
+
+    // Files of the layer folder and of its subfolders (animation frame sequences)
+    const entries = [];
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      if (entry.isFile()) {
+        entries.push(entry.name);
+      } else if (entry.isDirectory()) {
+        entries.push(...fs.readdirSync(path.join(folder, entry.name), { withFileTypes: true })
+          .filter(frame => frame.isFile())
+          .map(frame => `${entry.name}/${frame.name}`));
+      }
+    }
+
+    return buildListing(entries, {
+      urlFor: relative => this._componentUrl(layerPath, relative),
+      layerPath,
+      manifests: {
+        bucket: await this._readBucketManifest(),
+        layer: entries.includes(COMPONENT_MANIFEST) ? this._readManifest(`${layerPath}/${COMPONENT_MANIFEST}`) : null
+      }
+    });
+  }
+
+  /**
+   * Component manifest at the root of the components folder, cached like a listing
+   * @private
+   */
+  _readBucketManifest() {
+    return this.listingCache.get(COMPONENT_MANIFEST, () =>
+      fs.existsSync(path.join(this.config.root, COMPONENT_MANIFEST)) ? this._readManifest(COMPONENT_MANIFEST) : null
+    );
+  }
+
+  /**
+   * Parse a component manifest below the components folder
+   * @private
+   */
+  _readManifest(manifestPath) {
+    return parseComponentManifest(fs.readFileSync(path.join(this.config.root, manifestPath)), manifestPath);
+  }
+
+  /**
+   * URL of a file below the components folder
+   * @private
+   */
+  _componentUrl(layerPath, fileName) {
+    const relative = `${layerPath}/${fileName}`;
+    return this.config.componentsBaseUrl
+      ? joinUrl(this.config.componentsBaseUrl, relative)
+      : pathToFileURL(path.join(this.config.root, relative)).href;
+  }
+
+  /**
+   * Absolute path of a destination, which must stay inside the output folder
+   * @private
+   */
+  _resolveOutputPath(destinationPath) {
+    return resolveInside(this.config.outputDir, destinationPath, 'output');
+  }
+}
+
+/**
+ * Absolute path of a relative path that must stay inside a folder
+ * @private
+ */
+function resolveInside(folder, relativePath, description) {
+  const target = path.resolve(folder, relativePath);
+  if (path.relative(folder, target).startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new Error(`Destination must be inside the ${description} folder: ${relativePath}`);
+  }
+  return target;
+}
+
+/**
+ * Names of the subfolders of a folder; none when it doesn't exist
+ * @private
+ */
+function listFolders(folder) {
+  if (!fs.existsSync(folder)) {
+    return [];
+  }
+  return fs.readdirSync(folder, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const {
+  COMPONENT_MANIFEST,
+  chooseComponent,
+  buildListing,
+  parseComponentManifest
+} = require('../utils/components');
+const { getContentType } = require('../utils/contentType');
+const { joinUrl, readFile } = require('../utils/remote');
+const ListingCache = require('./cache');
+
+const COMPONENTS_BASE_URL = 'memory://components';
+const STORAGE_BASE_URL = 'memory://storage';
+
+/**
+ * In-memory storage provider for tests
+ *
+ * Components are seeded as buffers keyed by `<species>/<category>/<file>` (or generated as
+ * colored placeholder shapes, see testing/fixtures.js) and served under `memory://` URLs, which
+ * the generator reads through readFile(). Uploads are kept in memory and recorded in order so
+ * tests can assert on them.
+ */
+class InMemoryStorage {
+  /**
+   * Create a new in-memory storage provider
+   * @param {Object} config - In-memory storage configuration
+   * @param {Object} config.components - Component files: `{ 'indigo/hats/cap#2.png': Buffer|string }`
+   * @param {Object|boolean} config.placeholders - Generate placeholder components instead, with
+   *   createPlaceholderComponents() options (`species`, `layerConfig`, `traits`, `size`)
+   * @param {string} config.baseUrl - Public URL prefix of uploads (default: 'memory://storage')
+   * @param {number} config.listingCacheTtl - How long component listings are cached in ms (default: 5 minutes)
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: config.debug || false,
+      ...config,
+      baseUrl: config.baseUrl || STORAGE_BASE_URL
+    };
+
+    this.components = new Map();
+    this.listingCache = new ListingCache({ ttl: config.listingCacheTtl });
+    this.files = new Map();
+    this.uploads = [];
+
+    let components = config.components || {};
+    if (config.placeholders) {
+      // Required here so the providers don't load the testing kit unless it's used
+      const { createPlaceholderComponents } = require('../testing/fixtures');
+      components = { ...createPlaceholderComponents(config.placeholders === true ? {} : config.placeholders), ...components };
+    }
+    for (const [componentPath, content] of Object.entries(components)) {
+      this.addComponent(componentPath, content);
+    }
+  }
+
+  /**
+   * Nothing to prepare
+   * @returns {Promise<boolean>} Always true
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Add or replace a component file
+   * @param {string} componentPath - Path below the components root, e.g. 'indigo/eyes/blink#2/1.png'
+   * @param {Buffer|string} content - File content
+   */
+  addComponent(componentPath, content) {
+    const key = componentPath.replace(/^\/+/, '');
+    this.components.set(key, Buffer.from(content));
+    this.listingCache.invalidate(key);
+  }
+
+  /**
+   * Add a component from a local file
+   * @param {string} filePath - Path to local file
+   * @param {string} componentPath - Path below the components root, e.g. 'indigo/hats/cap#2.png'
+   * @returns {Promise<string>} URL of the component
+   */
+  async uploadComponent(filePath, componentPath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    this.addComponent(componentPath, fs.readFileSync(filePath));
+    return joinUrl(COMPONENTS_BASE_URL, componentPath.replace(/^\/+/, ''));
+  }
+
+  /**
+   * Get a random component for a layer
+   * @param {Object} layerInfo - Layer information
+   * @param {string} species - Species name
+   * @param {Object} options - Selection options
+   * @param {Function} options.random - Random number generator (default: Math.random)
+   * @param {Function} options.filter - Optional predicate limiting the candidate components
+   * @returns {Promise<Object>} Component information
+   */
+  async getRandomComponent(layerInfo, species, options = {}) {
+    const components = await this.listComponents(layerInfo, species);
+    return chooseComponent(components, layerInfo, species, options);
+  }
+
+  /**
+   * List all components of a layer; listings are cached per layer
+   * @param {Object} layerInfo - Layer information
+   * @param {string} species - Species name
+   * @returns {Promise<Array<Object>>} Components sorted by name
+   */
+  async listComponents(layerInfo, species) {
+    const layerPath = `${species}/${layerInfo.category}`;
+    const components = await this.listingCache.get(layerPath, () => this._buildComponents(layerPath));
+    return components.slice();
+  }
+
+  /**
+   * Index every layer into the listing cache
+   * @returns {Promise<number>} Number of layers indexed
+   */
+  async prefetch() {
+    const layerPaths = new Set();
+    for (const key of this.components.keys()) {
+      const [species, category, ...rest] = key.split('/');
+      if (rest.length > 0) layerPaths.add(`${species}/${category}`);
+    }
+    for (const layerPath of layerPaths) {
+      this.listingCache.set(layerPath, await this._buildComponents(layerPath));
+    }
+    return layerPaths.size;
+  }
+
+  /**
+   * Drop cached component listings
+   * @param {string} layerPath - Species or `species/category` to refresh (default: all)
+   * @returns {Promise<void>}
+   */
+  async refresh(layerPath = '') {
+    this.listingCache.invalidate(layerPath);
+  }
+
+  /**
+   * Component objects of a layer from its keys, see buildListing()
+   * @private
+   */
+  async _buildComponents(layerPath) {
+    const prefix = `${layerPath}/`;
+    const entries = [...this.components.keys()]
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+
+    return buildListing(entries, {
+      urlFor: relative => joinUrl(COMPONENTS_BASE_URL, `${prefix}${relative}`),
+      layerPath,
+      manifests: {
+        bucket: await this.listingCache.get(COMPONENT_MANIFEST, () => this._parseManifest(COMPONENT_MANIFEST)),
+        layer: this._parseManifest(`${prefix}${COMPONENT_MANIFEST}`)
+      }
+    });
+  }
+
+  /**
+   * Parsed component manifest stored at a key; null when there is none
+   * @private
+   */
+  _parseManifest(key) {
+    return this.components.has(key) ? parseComponentManifest(this.components.get(key), key) : null;
+  }
+
+  /**
+   * Bytes of a component or uploaded file; other URLs are fetched as usual
+   * @param {string} url - URL returned by this provider
+   * @returns {Promise<Buffer>} File content
+   */
+  async readFile(url) {
+    for (const [baseUrl, files] of [[COMPONENTS_BASE_URL, this.components], [this.config.baseUrl, this.files]]) {
+      if (url.startsWith(`${baseUrl}/`)) {
+        const key = url.slice(baseUrl.length + 1).split('/').map(decodeURIComponent).join('/');
+        if (!files.has(key)) {
+          throw new Error(`No file stored in memory at ${url}`);
+        }
+        return files.get(key);
+      }
+    }
+    return readFile(url);
+  }
+
+  /**
+   * Store a file in memory and record the upload
+   * @param {string} filePath - Path to local file
+   * @param {string} destinationPath - Destination, e.g. 'nfts/indigo/1/image.png'
+   * @returns {Promise<string>} Public URL of the stored file
+   */
+  async uploadFile(filePath, destinationPath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath);
+    const url = await this.getPublicUrl(destinationPath);
+    this.files.set(destinationPath, content);
+    this.uploads.push({
+      filePath,
+      destinationPath,
+      url,
+      contentType: getContentType(destinationPath),
+      size: content.length
+    });
+
+    if (this.config.debug) {
+      console.log(`[uploadFile] Stored ${path.basename(filePath)} at ${destinationPath}`);
+    }
+    return url;
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} destinationPath - Destination of the file
+   * @returns {Promise<string>} Public URL
+   */
+  async getPublicUrl(destinationPath) {
+    return joinUrl(this.config.baseUrl, destinationPath);
+  }
+
+  /**
+   * Whether a file is stored
+   * @param {string} destinationPath - Destination of the file
+   * @returns {Promise<boolean>}
+   */
+  async exists(destinationPath) {
+    return this.files.has(destinationPath);
+  }
+
+  /**
+   * Remove a stored file; removing a missing file is not an error
+   * @param {string} destinationPath - Destination of the file
+   * @returns {Promise<void>}
+   */
+  async delete(destinationPath) {
+    this.files.delete(destinationPath);
+  }
+
+  /**
+   * Recorded uploads, oldest first
+   * @param {string} prefix - Only uploads whose destination starts with this prefix
+   * @returns {Array<Object>} `{ filePath, destinationPath, url, contentType, size }`
+   */
+  getUploads(prefix = '') {
+    return this.uploads.filter(upload => upload.destinationPath.startsWith(prefix));
+  }
+
+  /**
+   * Content of a stored file
+   * @param {string} destinationPath - Destination of the file
+   * @returns {Buffer|undefined} File content
+   */
+  getFile(destinationPath) {
+    return this.files.get(destinationPath);
+  }
+
+  /**
+   * Assert that a file was uploaded and is still stored
+   * @param {string} destinationPath - Destination of the file
+   * @param {Object} expected - Optional `contentType` and `size` of the last upload
+   * @returns {Object} The last upload to the destination
+   */
+  assertUploaded(destinationPath, expected = {}) {
+    const upload = this.getUploads().reverse().find(record => record.destinationPath === destinationPath);
+    assert.ok(upload, `Expected an upload to ${destinationPath}; uploaded: ${this.uploads.map(record => record.destinationPath).join(', ') || 'nothing'}`);
+    assert.ok(this.files.has(destinationPath), `${destinationPath} was uploaded but has been deleted`);
+
+    for (const field of ['contentType', 'size']) {
+      if (expected[field] !== undefined) {
+        assert.strictEqual(upload[field], expected[field], `Unexpected ${field} of ${destinationPath}`);
+      }
+    }
+    return upload;
+  }
+
+  /**
+   * Assert that nothing was uploaded to a destination
+   * @param {string} destinationPath - Destination of the file
+   */
+  assertNotUploaded(destinationPath) {
+    const count = this.getUploads().filter(upload => upload.destinationPath === destinationPath).length;
+    assert.strictEqual(count, 0, `Expected no upload to ${destinationPath}, found ${count}`);
+  }
+
+  /**
+   * Assert the number of recorded uploads
+   * @param {number} count - Expected number of uploads
+   * @param {string} prefix - Only count uploads whose destination starts with this prefix
+   */
+  assertUploadCount(count, prefix = '') {
+    const uploads = this.getUploads(prefix);
+    assert.strictEqual(uploads.length, count, `Expected ${count} uploads${prefix ? ` under ${prefix}` : ''}, found ${uploads.length}: ${uploads.map(upload => upload.destinationPath).join(', ')}`);
+  }
+
+  /**
+   * Forget stored files and recorded uploads; components stay
+   */
+  reset() {
+    this.files.clear();
+    this.uploads = [];
+  }
+}
+
+module.exports = InMemoryStorage;
@@ -1,6 +1,15 @@
 const fs = require('fs');
 const path = require('path');
 const AWS = require('aws-sdk');
+const {
+  COMPONENT_MANIFEST,
+  chooseComponent,
+  buildListing,
+  parseComponentManifest
+} = require('../utils/components');
+const { getContentType } = require('../utils/contentType');
+const { joinUrl } = require('../utils/remote');
+const ListingCache = require('./cache');
 
 /**
  * AWS S3 storage provider for NFT generator
@@ -9,6 +18,7 @@ class S3Storage {
   /**
    * Create a new S3 storage provider
    * @param {Object} config - S3 configuration
+   * @param {number} config.listingCacheTtl - How long component listings are cached in ms (default: 5 minutes)
    */
   constructor(config = {}) {
     this.config = {
@@ -19,17 +29,20 @@ class S3Storage {
       ...config
     };
     
-    if (!config.accessKeyId || !config.secretAccessKey) {
+    // config.client is an existing S3 client (or a stand-in, see storage/standins.js)
+    if (!config.client && (!config.accessKeyId || !config.secretAccessKey)) {
       throw new Error('AWS credentials are required');
     }
     
     // Initialize AWS S3 client
-    this.s3 = new AWS.S3({
+    this.s3 = config.client || new AWS.S3({
       accessKeyId: config.accessKeyId,
       secretAccessKey: config.secretAccessKey,
-      region: config.region
+      region: this.config.region
     });
     
+    this.listingCache = new ListingCache({ ttl: config.listingCacheTtl });
+    
     if (config.debug) {
       console.log('Created S3 storage provider');
     }
@@ -39,95 +52,112 @@ class S3Storage {
    * Get a random component for a layer
    * @param {Object} layerInfo - Layer information
    * @param {string} species - Species name
+   * @param {Object} options - Selection options
+   * @param {Function} options.random - Random number generator (default: Math.random)
+   * @param {Function} options.filter - Optional predicate limiting the candidate components
    * @returns {Promise<Object>} Component information
    */
-  async getRandomComponent(layerInfo, species) {
-    const { category, type, optional = false } = layerInfo;
-    const prefix = `${species}/${category}/`;
-    
-    if (this.config.debug) {
-      console.log(`Fetching components for ${prefix}`);
-    }
-    
+  async getRandomComponent(layerInfo, species, options = {}) {
     try {
-      // List objects with the given prefix
-      const { Contents } = await this.s3.listObjectsV2({
-        Bucket: this.config.componentsBucket,
-        Prefix: prefix
-      }).promise();
-      
-      if (!Contents || Contents.length === 0) {
-        if (optional) return null;
-        throw new Error(`No components found for layer: ${prefix}`);
-      }
-      
-      // Filter for image files and create component objects
-      const files = Contents
-        .filter(file => 
-          file.Key.toLowerCase().endsWith('.png') || 
-          file.Key.toLowerCase().endsWith('.svg') ||
-          file.Key.toLowerCase().endsWith('.jpg') ||
-          file.Key.toLowerCase().endsWith('.jpeg'))
-        .map(file => {
-          const fileName = path.basename(file.Key);
-          const extension = path.extname(fileName).toLowerCase();
-          const fileType = extension === '.svg' ? 'svg' : 'bitmap';
-          return {
-            url: `https://${this.config.componentsBucket}.s3.${this.config.region}.amazonaws.com/${file.Key}`,
-            type: fileType,
-            name: fileName
-          };
-        });
-      
-      if (files.length === 0) {
-        if (optional) return null;
-        throw new Error(`No image files found for layer: ${prefix}`);
-      }
-      
-      // Select appropriate file based on type preference
-      let selectedFile;
-      
-      if ((type === "base" || type === "feature") && files.some(f => f.type === 'svg')) {
-        // Prefer SVG for base and feature layers
-        const svgFiles = files.filter(f => f.type === 'svg');
-        selectedFile = svgFiles[Math.floor(Math.random() * svgFiles.length)];
-      } else {
-        // For other layers or if no SVG is available, select any file type
-        selectedFile = files[Math.floor(Math.random() * files.length)];
-      }
-      
-      return {
-        url: selectedFile.url,
-        name: selectedFile.name,
-        category,
-        type
-      };
+      const components = await this.listComponents(layerInfo, species);
+      return chooseComponent(components, layerInfo, species, options);
     } catch (error) {
       if (this.config.debug) {
-        console.error(`Error getting component for ${prefix}:`, error);
+        console.error(`Error getting component for ${species}/${layerInfo.category}/:`, error);
       }
-      if (optional) return null;
+      if (layerInfo.optional) return null;
       throw error;
     }
   }
   
+  /**
+   * List all components of a layer; listings are cached per layer
+   * @param {Object} layerInfo - Layer information
+   * @param {string} species - Species name
+   * @returns {Promise<Array<Object>>} Components sorted by name
+   */
+  async listComponents(layerInfo, species) {
+    const prefix = `${species}/${layerInfo.category}/`;
+    
+    const components = await this.listingCache.get(`${species}/${layerInfo.category}`, async () => {
+      if (this.config.debug) {
+        console.log(`Fetching components for ${prefix}`);
+      }
+      return this._buildComponents(prefix, await this._listObjects(prefix));
+    });
+    return components.slice();
+  }
+  
+  /**
+   * List the whole components bucket once and index every layer into the listing cache
+   * @returns {Promise<number>} Number of layers indexed
+   */
+  async prefetch() {
+    const layers = new Map();
+    for (const file of await this._listObjects('')) {
+      const [species, category, ...rest] = file.Key.split('/');
+      if (rest.length === 0) continue;
+      
+      const layerPath = `${species}/${category}`;
+      if (!layers.has(layerPath)) layers.set(layerPath, []);
+      layers.get(layerPath).push(file);
+    }
+    
+    for (const [layerPath, contents] of layers) {
+      this.listingCache.set(layerPath, await this._buildComponents(`${layerPath}/`, contents));
+    }
+    
+    if (this.config.debug) {
+      console.log(`Indexed ${layers.size} layers from ${this.config.componentsBucket}`);
+    }
+    return layers.size;
+  }
+  
+  /**
+   * Drop cached component listings
+   * @param {string} layerPath - Species or `species/category` to refresh (default: all)
+   * @returns {Promise<void>}
+   */
+  async refresh(layerPath = '') {
+    this.listingCache.invalidate(layerPath);
+  }
+  
+  /**
+   * Upload a component to the components bucket
+   * @param {string} filePath - Path to local file
+   * @param {string} componentPath - Key in the components bucket, e.g. 'indigo/hats/cap#2.png'
+   * @returns {Promise<string>} Public URL of the component
+   */
+  async uploadComponent(filePath, componentPath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    
+    await this.s3.putObject({
+      Bucket: this.config.componentsBucket,
+      Key: componentPath,
+      Body: fs.readFileSync(filePath),
+      ContentType: getContentType(componentPath),
+      ACL: 'public-read'
+    }).promise();
+    this.listingCache.invalidate(componentPath);
+    
+    return this._componentUrl(componentPath);
+  }
+  
   /**
    * Upload a file to storage
    * @param {string} filePath - Path to local file
-   * @param {string} storageFolder - Folder path in storage
+   * @param {string} destinationPath - Key in the storage bucket, e.g. 'nfts/indigo/1/image.png'
    * @returns {Promise<string>} Public URL of the uploaded file
    */
-  async upload(filePath, storageFolder) {
+  async uploadFile(filePath, destinationPath) {
     if (!filePath || !fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`);
     }
     
-    const fileName = path.basename(filePath);
-    const folderPath = storageFolder.replace(/\/$/, '');
-    const key = `${folderPath}/${fileName}`;
-    
     if (this.config.debug) {
-      console.log(`Uploading ${fileName} to ${this.config.storageBucket}/${key}`);
+      console.log(`Uploading ${filePath} to ${this.config.storageBucket}/${destinationPath}`);
     }
     
     try {
@@ -135,22 +165,67 @@ class S3Storage {
       const fileContent = fs.readFileSync(filePath);
       await this.s3.putObject({
         Bucket: this.config.storageBucket,
-        Key: key,
+        Key: destinationPath,
         Body: fileContent,
-        ContentType: 'image/png',
+        ContentType: getContentType(destinationPath),
         ACL: 'public-read'
       }).promise();
       
-      // Build and return the public URL
-      return `https://${this.config.storageBucket}.s3.${this.config.region}.amazonaws.com/${key}`;
+      return this.getPublicUrl(destinationPath);
     } catch (error) {
       if (this.config.debug) {
-        console.error(`Error uploading ${fileName}:`, error);
+        console.error(`Error uploading ${filePath}:`, error);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Upload a file into a folder, keeping its file name
+   * @deprecated Use uploadFile(filePath, destinationPath)
+   * @param {string} filePath - Path to local file
+   * @param {string} storageFolder - Folder path in storage
+   * @returns {Promise<string>} Public URL of the uploaded file
+   */
+  async upload(filePath, storageFolder) {
+    return this.uploadFile(filePath, `${storageFolder.replace(/\/$/, '')}/${path.basename(filePath || '')}`);
+  }
+  
+  /**
+   * Public URL of a stored file
+   * @param {string} destinationPath - Key in the storage bucket
+   * @returns {Promise<string>} Public URL
+   */
+  async getPublicUrl(destinationPath) {
+    return `https://${this.config.storageBucket}.s3.${this.config.region}.amazonaws.com/${destinationPath}`;
+  }
+  
+  /**
+   * Whether a file is stored
+   * @param {string} destinationPath - Key in the storage bucket
+   * @returns {Promise<boolean>}
+   */
+  async exists(destinationPath) {
+    try {
+      await this.s3.headObject({ Bucket: this.config.storageBucket, Key: destinationPath }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+        return false;
       }
       throw error;
     }
   }
   
+  /**
+   * Remove a stored file; removing a missing file is not an error
+   * @param {string} destinationPath - Key in the storage bucket
+   * @returns {Promise<void>}
+   */
+  async delete(destinationPath) {
+    await this.s3.deleteObject({ Bucket: this.config.storageBucket, Key: destinationPath }).promise();
+  }
+  
   /**
    * Initialize storage buckets
    * @returns {Promise<boolean>} Success status
@@ -174,6 +249,72 @@ class S3Storage {
     }
   }
   
+  /**
+   * List every object under a prefix of the components bucket, one page of up to 1000 keys at a time
+   * @private
+   */
+  async _listObjects(prefix) {
+    const contents = [];
+    let continuationToken;
+    do {
+      const { Contents = [], IsTruncated, NextContinuationToken } = await this.s3.listObjectsV2({
+        Bucket: this.config.componentsBucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }).promise();
+      contents.push(...Contents);
+      continuationToken = IsTruncated ? NextContinuationToken : undefined;
+    } while (continuationToken);
+    
+    return contents;
+  }
+  
+  /**
+   * Component objects of a layer from its listed keys, see buildListing()
+   * @private
+   */
+  async _buildComponents(prefix, contents) {
+    const entries = contents.map(file => file.Key.slice(prefix.length));
+    
+    return buildListing(entries, {
+      urlFor: relative => this._componentUrl(`${prefix}${relative}`),
+      layerPath: prefix.slice(0, -1),
+      manifests: {
+        bucket: await this._getBucketManifest(),
+        layer: entries.includes(COMPONENT_MANIFEST) ? await this._getManifest(`${prefix}${COMPONENT_MANIFEST}`) : null
+      }
+    });
+  }
+  
+  /**
+   * Component manifest at the root of the components bucket, cached like a listing
+   * @private
+   */
+  _getBucketManifest() {
+    return this.listingCache.get(COMPONENT_MANIFEST, async () => {
+      const found = (await this._listObjects(COMPONENT_MANIFEST)).some(file => file.Key === COMPONENT_MANIFEST);
+      return found ? this._getManifest(COMPONENT_MANIFEST) : null;
+    });
+  }
+  
+  /**
+   * Download and parse a component manifest from the components bucket
+   * @private
+   */
+  async _getManifest(key) {
+    const { Body } = await this.s3.getObject({ Bucket: this.config.componentsBucket, Key: key }).promise();
+    return parseComponentManifest(Body, key);
+  }
+  
+  /**
+   * Public URL of a key in the components bucket; each path segment is encoded, so the
+   * "#" of a rarity weight stays part of the key
+   * @private
+   */
+  _componentUrl(key) {
+    return joinUrl(`https://${this.config.componentsBucket}.s3.${this.config.region}.amazonaws.com`, key);
+  }
+  
   /**
    * Create a bucket if it doesn't exist
    * @private
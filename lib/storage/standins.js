@@ -0,0 +1,167 @@
+/**
+ * Local stand-ins for the storage SDK clients
+ *
+ * They keep buckets in memory and implement just the calls the providers make, so
+ * `new S3Storage({ client })` and `new SupabaseStorage({ url, client })` run without a network,
+ * e.g. in the conformance suite (storage/conformance.js).
+ * @module standins
+ */
+
+/**
+ * Stand-in for an `AWS.S3` client
+ * @param {Object} buckets - Initial content: `{ [bucket]: { [key]: Buffer|string } }`
+ * @returns {Object} Client with listObjectsV2, getObject, putObject, headObject, deleteObject,
+ *   headBucket, createBucket and putBucketPolicy; each returns `{ promise() }` like the SDK
+ */
+function createS3StandIn(buckets = {}) {
+  const store = toStore(buckets);
+  const request = handler => params => ({ promise: async () => handler(params) });
+  const getBucket = name => {
+    if (!store.has(name)) {
+      throw awsError('NoSuchBucket', `The specified bucket does not exist: ${name}`);
+    }
+    return store.get(name);
+  };
+
+  return {
+    store,
+    listObjectsV2: request(({ Bucket, Prefix = '', ContinuationToken, MaxKeys = 1000 }) => {
+      const keys = [...getBucket(Bucket).keys()].filter(key => key.startsWith(Prefix)).sort();
+      const start = ContinuationToken ? Number(ContinuationToken) : 0;
+      const page = keys.slice(start, start + MaxKeys);
+      const truncated = start + MaxKeys < keys.length;
+      return {
+        Contents: page.map(Key => ({ Key, Size: getBucket(Bucket).get(Key).length })),
+        IsTruncated: truncated,
+        NextContinuationToken: truncated ? String(start + MaxKeys) : undefined
+      };
+    }),
+    getObject: request(({ Bucket, Key }) => {
+      const content = getBucket(Bucket).get(Key);
+      if (!content) {
+        throw awsError('NoSuchKey', `The specified key does not exist: ${Key}`);
+      }
+      return { Body: content, ContentLength: content.length };
+    }),
+    putObject: request(({ Bucket, Key, Body }) => {
+      getBucket(Bucket).set(Key, Buffer.from(Body));
+      return {};
+    }),
+    headObject: request(({ Bucket, Key }) => {
+      const content = getBucket(Bucket).get(Key);
+      if (!content) {
+        throw awsError('NotFound', `No such key: ${Key}`);
+      }
+      return { ContentLength: content.length };
+    }),
+    deleteObject: request(({ Bucket, Key }) => {
+      getBucket(Bucket).delete(Key);
+      return {};
+    }),
+    headBucket: request(({ Bucket }) => {
+      if (!store.has(Bucket)) {
+        throw awsError('NotFound', `No such bucket: ${Bucket}`);
+      }
+      return {};
+    }),
+    createBucket: request(({ Bucket }) => {
+      if (!store.has(Bucket)) store.set(Bucket, new Map());
+      return {};
+    }),
+    putBucketPolicy: request(() => ({}))
+  };
+}
+
+/**
+ * Stand-in for a Supabase client's `storage` API
+ * @param {Object} buckets - Initial content: `{ [bucket]: { [path]: Buffer|string } }`
+ * @returns {Object} Client with `storage.from(bucket)` (list, download, upload, remove), `storage.getBucket`
+ *   and `storage.createBucket`; results are `{ data, error }` like the SDK
+ */
+function createSupabaseStandIn(buckets = {}) {
+  const store = toStore(buckets);
+  const missingBucket = name => ({ data: null, error: new Error(`Bucket not found: ${name}`) });
+
+  const from = bucket => ({
+    // Direct children of a folder; subfolders have `id: null` like in Supabase
+    list: async (folder = '', options = {}) => {
+      if (!store.has(bucket)) return missingBucket(bucket);
+      const prefix = folder ? `${folder.replace(/\/$/, '')}/` : '';
+      const entries = new Map();
+
+      for (const [key, content] of store.get(bucket)) {
+        if (!key.startsWith(prefix)) continue;
+        const [name, ...rest] = key.slice(prefix.length).split('/');
+        if (rest.length > 0) {
+          entries.set(name, { name, id: null, metadata: null });
+        } else {
+          entries.set(name, { name, id: `${bucket}/${key}`, metadata: { size: content.length } });
+        }
+      }
+
+      const data = [...entries.values()]
+        .filter(entry => !options.search || entry.name.includes(options.search))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      return { data, error: null };
+    },
+    // Files come back as a Blob like in Supabase
+    download: async (filePath) => {
+      if (!store.has(bucket)) return missingBucket(bucket);
+      const content = store.get(bucket).get(filePath);
+      if (!content) {
+        return { data: null, error: new Error(`Object not found: ${filePath}`) };
+      }
+      return { data: new Blob([content]), error: null };
+    },
+    upload: async (filePath, content, options = {}) => {
+      if (!store.has(bucket)) return missingBucket(bucket);
+      const files = store.get(bucket);
+      if (files.has(filePath) && !options.upsert) {
+        return { data: null, error: new Error('The resource already exists') };
+      }
+      files.set(filePath, Buffer.from(content));
+      return { data: { path: filePath }, error: null };
+    },
+    remove: async (paths) => {
+      if (!store.has(bucket)) return missingBucket(bucket);
+      const removed = paths.filter(filePath => store.get(bucket).delete(filePath));
+      return { data: removed.map(name => ({ name })), error: null };
+    }
+  });
+
+  return {
+    store,
+    storage: {
+      from,
+      getBucket: async (name) => store.has(name) ? { data: { id: name, name }, error: null } : missingBucket(name),
+      createBucket: async (name) => {
+        if (!store.has(name)) store.set(name, new Map());
+        return { data: { name }, error: null };
+      }
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function toStore(buckets) {
+  return new Map(Object.entries(buckets).map(([name, files]) => [
+    name,
+    new Map(Object.entries(files).map(([key, content]) => [key, Buffer.from(content)]))
+  ]));
+}
+
+/**
+ * @private
+ */
+function awsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  createS3StandIn,
+  createSupabaseStandIn
+};
@@ -1,25 +1,124 @@
 const path = require('path');
 const fs = require('fs');
 const { createClient } = require('@supabase/supabase-js');
+const {
+  COMPONENT_MANIFEST,
+  chooseComponent,
+  buildListing,
+  parseComponentManifest
+} = require('../utils/components');
+const { getContentType } = require('../utils/contentType');
+const { joinUrl } = require('../utils/remote');
+const ListingCache = require('./cache');
 
 class SupabaseStorage {
   constructor(config = {}) {
     this.supabaseUrl = config.url || process.env.SUPABASE_URL;
     this.supabaseKey = config.key || process.env.SUPABASE_SERVICE_KEY;
-    this.componentBucket = config.componentBucket || "space-babiez";
+    // componentsBucket matches the S3 provider; componentBucket is the original name
+    this.componentBucket = config.componentsBucket || config.componentBucket || "space-babiez";
     this.storageBucket = config.storageBucket || "nft-storage";
     
-    if (!this.supabaseUrl || !this.supabaseKey) {
+    // config.client is an existing Supabase client (or a stand-in, see storage/standins.js)
+    if (!this.supabaseUrl || (!this.supabaseKey && !config.client)) {
       throw new Error('Supabase URL and key are required. Provide them in config or as environment variables.');
     }
     
-    this.supabase = createClient(this.supabaseUrl, this.supabaseKey);
+    this.supabase = config.client || createClient(this.supabaseUrl, this.supabaseKey);
+    // Component listings per species/category, kept for config.listingCacheTtl ms (default: 5 minutes)
+    this.listingCache = new ListingCache({ ttl: config.listingCacheTtl });
   }
 
-  async getRandomComponent(layerInfo, species) {
-    const { category, type } = layerInfo;
-    const fullPath = `${species}/${category}`; 
-    console.log(`[getRandomComponent] Fetching components for layer: ${fullPath}...`);
+  // Create the component and storage buckets if they don't exist yet
+  async initialize() {
+    try {
+      for (const bucket of [this.componentBucket, this.storageBucket]) {
+        const { error } = await this.supabase.storage.getBucket(bucket);
+        if (error) {
+          const { error: createError } = await this.supabase.storage.createBucket(bucket, { public: true });
+          if (createError) {
+            throw createError;
+          }
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error(`[ERROR] Failed to initialize Supabase buckets: ${error.message}`);
+      return false;
+    }
+  }
+
+  async getRandomComponent(layerInfo, species, options = {}) {
+    const components = await this.listComponents(layerInfo, species);
+    return chooseComponent(components, layerInfo, species, options);
+  }
+
+  // All components of a layer, sorted by name; listings are cached per layer
+  async listComponents(layerInfo, species) {
+    const fullPath = `${species}/${layerInfo.category}`;
+    const components = await this.listingCache.get(fullPath, () => this.fetchComponents(fullPath));
+    return components.slice();
+  }
+
+  // Index every species/category folder of the component bucket into the listing cache;
+  // returns the number of layers indexed
+  async prefetch() {
+    let layers = 0;
+    for (const species of await this.listFolders('')) {
+      for (const category of await this.listFolders(species)) {
+        const fullPath = `${species}/${category}`;
+        this.listingCache.set(fullPath, await this.fetchComponents(fullPath));
+        layers++;
+      }
+    }
+    console.log(`[prefetch] Indexed ${layers} layers from ${this.componentBucket}`);
+    return layers;
+  }
+
+  // Drop cached listings of a species or species/category (default: all)
+  async refresh(layerPath = '') {
+    this.listingCache.invalidate(layerPath);
+  }
+
+  // Upload a component, e.g. 'indigo/hats/cap#2.png', to the component bucket
+  async uploadComponent(filePath, componentPath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+    
+    const { error } = await this.supabase.storage.from(this.componentBucket).upload(
+      componentPath,
+      fs.readFileSync(filePath),
+      { contentType: getContentType(componentPath), upsert: true }
+    );
+    if (error) {
+      console.error(`[ERROR] Component upload failed: ${error.message}`);
+      throw error;
+    }
+    
+    this.listingCache.invalidate(componentPath);
+    return this.componentUrl(componentPath);
+  }
+
+  // Public URL of a file in the component bucket; each path segment is encoded, so the "#" of
+  // a rarity weight stays part of the path
+  componentUrl(componentPath) {
+    return joinUrl(`${this.supabaseUrl}/storage/v1/object/public/${this.componentBucket}`, componentPath);
+  }
+
+  // Names of the subfolders of a component bucket folder
+  async listFolders(folderPath) {
+    const { data, error } = await this.supabase.storage.from(this.componentBucket).list(folderPath);
+    if (error) {
+      console.error(`[ERROR] Failed to list ${folderPath || 'the component bucket'}:`, error);
+      throw error;
+    }
+    return (data || []).filter(file => file.id === null).map(file => file.name);
+  }
+
+  // List a layer's components from the component bucket, see buildListing()
+  async fetchComponents(fullPath) {
+    console.log(`[fetchComponents] Fetching components for layer: ${fullPath}...`);
     
     const { data, error } = await this.supabase.storage.from(this.componentBucket).list(fullPath);
     
@@ -29,53 +128,57 @@ class SupabaseStorage {
     }
     
     if (!data || data.length === 0) {
-      if (layerInfo.optional) {
-        console.log(`[getRandomComponent] No components found for optional layer: ${fullPath}, skipping...`);
-        return null;
-      }
-      throw new Error(`No components found for layer: ${fullPath}`);
+      return [];
     }
     
-    // Accept both PNG and SVG files
-    const files = data
-      .filter(file => 
-        file.name.toLowerCase().endsWith('.png') || 
-        file.name.toLowerCase().endsWith('.svg') ||
-        file.name.toLowerCase().endsWith('.jpg') ||
-        file.name.toLowerCase().endsWith('.jpeg'))
-      .map(file => {
-        const extension = path.extname(file.name).toLowerCase();
-        const fileType = extension === '.svg' ? 'svg' : 'bitmap';
-        return {
-          url: `${this.supabaseUrl}/storage/v1/object/public/${this.componentBucket}/${fullPath}/${file.name}`,
-          type: fileType,
-          name: file.name
-        };
-      });
+    // Files of the layer folder and of its subfolders (animation frame sequences)
+    const entries = data.filter(file => file.id !== null).map(file => file.name);
+    for (const folder of data.filter(file => file.id === null)) {
+      const frameNames = await this.listFiles(`${fullPath}/${folder.name}`);
+      entries.push(...frameNames.map(frameName => `${folder.name}/${frameName}`));
+    }
     
-    if (files.length === 0) {
-      if (layerInfo.optional) {
-        return null;
+    return buildListing(entries, {
+      urlFor: relative => this.componentUrl(`${fullPath}/${relative}`),
+      layerPath: fullPath,
+      manifests: {
+        bucket: await this.fetchBucketManifest(),
+        layer: entries.includes(COMPONENT_MANIFEST) ? await this.downloadManifest(`${fullPath}/${COMPONENT_MANIFEST}`) : null
       }
-      throw new Error(`No image files found for layer: ${fullPath}`);
+    });
+  }
+
+  // Component manifest at the root of the component bucket, cached like a listing
+  async fetchBucketManifest() {
+    return this.listingCache.get(COMPONENT_MANIFEST, async () => {
+      const { data, error } = await this.supabase.storage.from(this.componentBucket).list('', { search: COMPONENT_MANIFEST });
+      if (error) {
+        console.error('[ERROR] Failed to list the component bucket:', error);
+        throw error;
+      }
+      const found = (data || []).some(file => file.id !== null && file.name === COMPONENT_MANIFEST);
+      return found ? this.downloadManifest(COMPONENT_MANIFEST) : null;
+    });
+  }
+
+  // Download and parse a component manifest from the component bucket
+  async downloadManifest(manifestPath) {
+    const { data, error } = await this.supabase.storage.from(this.componentBucket).download(manifestPath);
+    if (error) {
+      console.error(`[ERROR] Failed to download component manifest ${manifestPath}:`, error);
+      throw error;
     }
-    
-    // For base (head) and feature layers, prefer SVG if available
-    let selectedFile;
-    
-    if ((type === "base" || type === "feature") && files.some(f => f.type === 'svg')) {
-      const svgFiles = files.filter(f => f.type === 'svg');
-      selectedFile = svgFiles[Math.floor(Math.random() * svgFiles.length)];
-    } else {
-      selectedFile = files[Math.floor(Math.random() * files.length)];
+    return parseComponentManifest(Buffer.from(await data.arrayBuffer()), manifestPath);
+  }
+
+  // Names of the files in a component bucket folder, e.g. the frames of a frame sequence
+  async listFiles(folderPath) {
+    const { data, error } = await this.supabase.storage.from(this.componentBucket).list(folderPath);
+    if (error) {
+      console.error(`[ERROR] Failed to list ${folderPath}:`, error);
+      throw error;
     }
-    
-    return {
-      url: selectedFile.url, 
-      name: selectedFile.name,
-      category: category,
-      type: type
-    };
+    return (data || []).filter(file => file.id !== null).map(file => file.name);
   }
 
   async uploadFile(filePath, destinationPath) {
@@ -95,21 +198,45 @@ class SupabaseStorage {
       const { data, error } = await this.supabase.storage.from(this.storageBucket).upload(
         destinationPath, 
         fileContent, 
-        { contentType: "image/png", upsert: true }
+        { contentType: getContentType(destinationPath), upsert: true }
       );
       
       if (error) {
         throw error;
       }
       
-      const fileUrl = `${this.supabaseUrl}/storage/v1/object/public/${this.storageBucket}/${destinationPath}`;
-      return fileUrl;
+      return this.getPublicUrl(destinationPath);
     } catch (error) {
       console.error(`[ERROR] Upload failed: ${error.message}`);
       throw error;
     }
   }
 
+  async getPublicUrl(destinationPath) {
+    return `${this.supabaseUrl}/storage/v1/object/public/${this.storageBucket}/${destinationPath}`;
+  }
+
+  async exists(destinationPath) {
+    const folderPath = path.posix.dirname(destinationPath);
+    const fileName = path.posix.basename(destinationPath);
+    const { data, error } = await this.supabase.storage
+      .from(this.storageBucket)
+      .list(folderPath === '.' ? '' : folderPath, { search: fileName });
+    
+    if (error) {
+      throw error;
+    }
+    return (data || []).some(file => file.name === fileName && file.id !== null);
+  }
+
+  async delete(destinationPath) {
+    const { error } = await this.supabase.storage.from(this.storageBucket).remove([destinationPath]);
+    if (error) {
+      console.error(`[ERROR] Delete failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   async createFolderIfNotExists(bucketName, folderPath) {
     try {
       const { data, error } = await this.supabase.storage.from(bucketName).list(folderPath);
@@ -136,8 +263,6 @@ class SupabaseStorage {
       return false;
     }
   }
-
-  // Add other storage-related functions as needed
 }
 
 module.exports = SupabaseStorage;
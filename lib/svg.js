@@ -0,0 +1,241 @@
+const { BLEND_MODES } = require('./effects');
+
+/**
+ * Vector SVG output
+ *
+ * Composes the selected layers into one scalable SVG. SVG components are inlined as nested
+ * `<svg>` elements, keeping them vectors; bitmap components are embedded as data URI images.
+ * Every layer uses the same rectangle and z-order as the raster image, so the SVG lines up
+ * with `image.png` at the generator's width and height.
+ *
+ * Blend modes and opacity map to `mix-blend-mode` and `opacity`; shadow, glow and outline
+ * filters map to SVG filter primitives.
+ * @module svg
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Root attributes replaced by the placement of the nested <svg>
+const PLACEMENT_ATTRIBUTES = ['xmlns', 'xmlns:xlink', 'version', 'x', 'y', 'width', 'height', 'viewBox', 'preserveAspectRatio'];
+
+const FILTER_PRIMITIVES = {
+  shadow: shadowPrimitives,
+  glow: glowPrimitives,
+  outline: outlinePrimitives
+};
+
+/**
+ * Compose layers into an SVG document
+ * @param {Array<Object>} layers - Layers bottom to top:
+ *   - `category`: layer category, used for the group id
+ *   - `content`: component file content (Buffer or string)
+ *   - `isSvg`: whether `content` is an SVG document; otherwise it is embedded as an image
+ *   - `mimeType`: content type of bitmap content (default: 'image/png')
+ *   - `rect`: `{ x, y, width, height }` the component is drawn into
+ *   - `sourceWidth` / `sourceHeight`: intrinsic size of the component
+ *   - `crop`: optional `{ sx, sy, sw, sh }` source rectangle (sprite frames)
+ *   - `effect`: optional resolved effect (blend, opacity, filters)
+ * @param {Object} options - `width`/`height` of the document and `background` color (default: '#FFFFFF')
+ * @returns {string} SVG document
+ */
+function composeSVG(layers, options) {
+  const { width, height, background = '#FFFFFF' } = options;
+  const defs = [];
+  const body = [];
+
+  layers.forEach((layer, index) => {
+    const prefix = `l${index}`;
+    const element = layer.isSvg ? inlineSVG(layer, prefix) : embedImage(layer);
+    const attributes = [`id="${prefix}-${escapeAttribute(layer.category || 'layer')}"`];
+    const { effect } = layer;
+
+    if (effect) {
+      if (effect.opacity !== undefined && effect.opacity !== 1) {
+        attributes.push(`opacity="${effect.opacity}"`);
+      }
+      if (effect.blend && BLEND_MODES[effect.blend] !== 'source-over') {
+        attributes.push(`style="mix-blend-mode:${effect.blend === 'add' ? 'plus-lighter' : effect.blend}"`);
+      }
+      if (effect.filters && effect.filters.length > 0) {
+        defs.push(buildFilter(`${prefix}-filter`, effect.filters, width, height));
+        attributes.push(`filter="url(#${prefix}-filter)"`);
+      }
+    }
+
+    body.push(`  <g ${attributes.join(' ')}>\n    ${element}\n  </g>`);
+  });
+
+  return [
+    `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    defs.length > 0 ? `  <defs>\n${defs.join('\n')}\n  </defs>` : null,
+    `  <rect width="${width}" height="${height}" fill="${escapeAttribute(background)}"/>`,
+    ...body,
+    '</svg>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Split an SVG document into its root attributes and inner markup
+ * @param {string} source - SVG document
+ * @returns {Object} `{ attributes, content }`
+ */
+function parseSVG(source) {
+  const text = String(source)
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+  const match = text.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/i);
+  if (!match) {
+    throw new Error('Not an SVG document: missing <svg> root element');
+  }
+
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of match[1].matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = doubleQuoted ?? singleQuoted;
+  }
+  return { attributes, content: match[2] };
+}
+
+/**
+ * Nest an SVG component at its placement, cropping its viewBox for sprite frames
+ * @private
+ */
+function inlineSVG(layer, prefix) {
+  const { attributes, content } = parseSVG(Buffer.isBuffer(layer.content) ? layer.content.toString('utf8') : layer.content);
+  const viewBox = parseViewBox(attributes, layer.sourceWidth, layer.sourceHeight);
+
+  if (layer.crop) {
+    // Crop coordinates are in image pixels; convert them to viewBox units
+    const kx = viewBox[2] / layer.sourceWidth;
+    const ky = viewBox[3] / layer.sourceHeight;
+    viewBox[0] += layer.crop.sx * kx;
+    viewBox[1] += layer.crop.sy * ky;
+    viewBox[2] = layer.crop.sw * kx;
+    viewBox[3] = layer.crop.sh * ky;
+  }
+
+  const extra = Object.entries(attributes)
+    .filter(([name]) => !PLACEMENT_ATTRIBUTES.includes(name) && !name.startsWith('xmlns:'))
+    // Values are still XML-escaped from the source; only quotes need escaping for the new delimiters
+    .map(([name, value]) => ` ${name}="${(name === 'id' ? `${prefix}-${value}` : value).replace(/"/g, '&quot;')}"`)
+    .join('');
+
+  return `<svg${rectAttributes(layer.rect)} viewBox="${viewBox.map(format).join(' ')}" preserveAspectRatio="none"${extra}>${prefixIds(content, prefix)}</svg>`;
+}
+
+/**
+ * Embed a bitmap component as a data URI image
+ * @private
+ */
+function embedImage(layer) {
+  const href = `data:${layer.mimeType || 'image/png'};base64,${Buffer.from(layer.content).toString('base64')}`;
+
+  if (layer.crop) {
+    const { sx, sy, sw, sh } = layer.crop;
+    return `<svg${rectAttributes(layer.rect)} viewBox="${[sx, sy, sw, sh].map(format).join(' ')}" preserveAspectRatio="none">` +
+      `<image width="${layer.sourceWidth}" height="${layer.sourceHeight}" preserveAspectRatio="none" xlink:href="${href}"/></svg>`;
+  }
+  return `<image${rectAttributes(layer.rect)} preserveAspectRatio="none" xlink:href="${href}"/>`;
+}
+
+/**
+ * Build a filter applying the layer's filters in order
+ * @private
+ */
+function buildFilter(id, filters, width, height) {
+  let input = 'SourceGraphic';
+  const primitives = [];
+
+  filters.forEach((filter, index) => {
+    const result = `${id}-${index}`;
+    primitives.push(...FILTER_PRIMITIVES[filter.type](filter, input, result));
+    input = result;
+  });
+
+  return `    <filter id="${id}" filterUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">\n` +
+    primitives.map(primitive => `      ${primitive}`).join('\n') +
+    '\n    </filter>';
+}
+
+/**
+ * Canvas shadowBlur is roughly twice the Gaussian standard deviation
+ * @private
+ */
+function shadowPrimitives({ color = 'rgba(0, 0, 0, 0.5)', blur = 8, offsetX = 4, offsetY = 4 }, input, result) {
+  return [
+    `<feDropShadow in="${input}" dx="${offsetX}" dy="${offsetY}" stdDeviation="${blur / 2}" flood-color="${escapeAttribute(color)}" result="${result}"/>`
+  ];
+}
+
+/**
+ * @private
+ */
+function glowPrimitives({ color = 'rgba(255, 255, 255, 0.8)', blur = 12, strength = 2 }, input, result) {
+  const passes = Math.max(1, Math.round(strength));
+  return [
+    `<feGaussianBlur in="${input}" stdDeviation="${blur / 2}" result="${result}-blur"/>`,
+    `<feFlood flood-color="${escapeAttribute(color)}" result="${result}-color"/>`,
+    `<feComposite in="${result}-color" in2="${result}-blur" operator="in" result="${result}-glow"/>`,
+    `<feMerge result="${result}">${`<feMergeNode in="${result}-glow"/>`.repeat(passes)}<feMergeNode in="${input}"/></feMerge>`
+  ];
+}
+
+/**
+ * @private
+ */
+function outlinePrimitives({ color = '#000000', width = 2 }, input, result) {
+  return [
+    `<feMorphology in="${input}" operator="dilate" radius="${Math.max(1, Math.round(width))}" result="${result}-dilated"/>`,
+    `<feFlood flood-color="${escapeAttribute(color)}" result="${result}-color"/>`,
+    `<feComposite in="${result}-color" in2="${result}-dilated" operator="in" result="${result}-outline"/>`,
+    `<feMerge result="${result}"><feMergeNode in="${result}-outline"/><feMergeNode in="${input}"/></feMerge>`
+  ];
+}
+
+/**
+ * Prefix ids and references so ids of different components can't clash
+ * @private
+ */
+function prefixIds(content, prefix) {
+  return content
+    .replace(/\bid\s*=\s*(["'])([^"']+)\1/g, (match, quote, id) => `id=${quote}${prefix}-${id}${quote}`)
+    .replace(/url\(\s*(["']?)#([^"')]+)\1\s*\)/g, (match, quote, id) => `url(#${prefix}-${id})`)
+    .replace(/((?:xlink:)?href\s*=\s*)(["'])#([^"']+)\2/g, (match, name, quote, id) => `${name}${quote}#${prefix}-${id}${quote}`);
+}
+
+/**
+ * viewBox of an SVG root, falling back to its width/height or the intrinsic size
+ * @private
+ */
+function parseViewBox(attributes, sourceWidth, sourceHeight) {
+  if (attributes.viewBox) {
+    const values = attributes.viewBox.trim().split(/[\s,]+/).map(Number);
+    if (values.length === 4 && values.every(Number.isFinite)) return values;
+  }
+  return [0, 0, parseFloat(attributes.width) || sourceWidth, parseFloat(attributes.height) || sourceHeight];
+}
+
+/**
+ * @private
+ */
+function rectAttributes({ x, y, width, height }) {
+  return ` x="${format(x)}" y="${format(y)}" width="${format(width)}" height="${format(height)}"`;
+}
+
+/**
+ * @private
+ */
+function format(value) {
+  return String(Math.round(value * 10000) / 10000);
+}
+
+/**
+ * @private
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+module.exports = { composeSVG, parseSVG };
@@ -0,0 +1,123 @@
+const { createCanvas } = require('../utils/canvas');
+const DEFAULT_LAYER_CONFIG = require('../config/defaultLayers');
+
+/**
+ * Fixture factories for tests: species, layer configurations and placeholder components
+ * @module fixtures
+ */
+
+const SPECIES_NAMES = ['indigo', 'green', 'pink', 'orange', 'teal', 'violet'];
+
+// Trait values of placeholder components, with their fill colors
+const PLACEHOLDER_COLORS = {
+  red: '#e74c3c',
+  blue: '#3498db',
+  green: '#2ecc71',
+  yellow: '#f1c40f',
+  purple: '#9b59b6',
+  orange: '#e67e22',
+  teal: '#1abc9c',
+  pink: '#fd79a8'
+};
+
+/**
+ * Species names
+ * @param {number} count - Number of species (default: 2, the generator's default species)
+ * @returns {Array<string>} 'indigo', 'green', 'pink', ... then 'species7', 'species8', ...
+ */
+function createSpecies(count = 2) {
+  return Array.from({ length: count }, (_, index) => SPECIES_NAMES[index] || `species${index + 1}`);
+}
+
+/**
+ * The generator's default layer configuration, with per-category overrides
+ * @param {Object} overrides - Fields merged into a layer by category, or `false` to drop it,
+ *   e.g. `{ hats: { optional: true }, special: false }`
+ * @returns {Array<Object>} Layer configuration
+ */
+function createLayerConfig(overrides = {}) {
+  return DEFAULT_LAYER_CONFIG
+    .filter(layer => overrides[layer.category] !== false)
+    .map(layer => ({ ...layer, ...overrides[layer.category] }));
+}
+
+/**
+ * Draw a placeholder component: a flat shape in one color, shaped after the layer type
+ * @param {Object} layerInfo - Layer information (`type`)
+ * @param {string} color - CSS color
+ * @param {number} size - Width and height in pixels (default: 64)
+ * @returns {Buffer} PNG image
+ */
+function createPlaceholderImage(layerInfo, color, size = 64) {
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.beginPath();
+
+  switch (layerInfo.type) {
+    case 'background':
+      ctx.rect(0, 0, size, size);
+      break;
+    case 'base':
+      ctx.arc(size / 2, size / 2, size * 0.45, 0, Math.PI * 2);
+      break;
+    case 'feature':
+      // A pair of eyes
+      ctx.arc(size * 0.3, size / 2, size * 0.15, 0, Math.PI * 2);
+      ctx.moveTo(size * 0.85, size / 2);
+      ctx.arc(size * 0.7, size / 2, size * 0.15, 0, Math.PI * 2);
+      break;
+    case 'outfit':
+      ctx.rect(size * 0.1, size * 0.3, size * 0.8, size * 0.7);
+      break;
+    default:
+      // Accessories and other layer types
+      ctx.moveTo(size / 2, size * 0.1);
+      ctx.lineTo(size * 0.9, size * 0.9);
+      ctx.lineTo(size * 0.1, size * 0.9);
+      ctx.closePath();
+  }
+
+  ctx.fill();
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Placeholder components for every species and layer, to seed InMemoryStorage
+ * @param {Object} options - Placeholder options
+ * @param {Array<string>} options.species - Species (default: createSpecies())
+ * @param {Array<Object>} options.layerConfig - Layers (default: createLayerConfig())
+ * @param {number|Object} options.traits - Components per layer, or per category (default: 2)
+ * @param {number} options.size - Image size in pixels (default: 64)
+ * @returns {Object} PNG buffers by path, e.g. `{ 'indigo/head/blue.png': Buffer }`
+ */
+function createPlaceholderComponents(options = {}) {
+  const { species = createSpecies(), layerConfig = createLayerConfig(), traits = 2, size = 64 } = options;
+  const colors = Object.keys(PLACEHOLDER_COLORS);
+  const components = {};
+
+  layerConfig.forEach((layerInfo, layerIndex) => {
+    const count = typeof traits === 'object' ? (traits[layerInfo.category] ?? 2) : traits;
+    for (let index = 0; index < count; index++) {
+      // Shift the colors per layer so neighbouring layers stand out from each other
+      const colorIndex = (layerIndex + index) % colors.length;
+      const round = Math.floor(index / colors.length);
+      const trait = round > 0 ? `${colors[colorIndex]}${round + 1}` : colors[colorIndex];
+      const image = createPlaceholderImage(layerInfo, PLACEHOLDER_COLORS[colors[colorIndex]], size);
+
+      for (const name of species) {
+        components[`${name}/${layerInfo.category}/${trait}.png`] = image;
+      }
+    }
+  });
+
+  return components;
+}
+
+module.exports = {
+  createSpecies,
+  createLayerConfig,
+  createPlaceholderImage,
+  createPlaceholderComponents,
+  PLACEHOLDER_COLORS
+};
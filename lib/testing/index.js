@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Generator = require('../generator');
+const InMemoryStorage = require('../storage/memory');
+const fixtures = require('./fixtures');
+const { runConformance } = require('../storage/conformance');
+
+/**
+ * Testing kit for code built on sb_generator, shipped as `sb_generator/testing`
+ *
+ * ```javascript
+ * const { createTestGenerator } = require('sb_generator/testing');
+ *
+ * const generator = createTestGenerator();
+ * const nft = await generator.generate(1);
+ * generator.storage.assertUploaded('nfts/indigo/1/image.png', { contentType: 'image/png' });
+ * ```
+ * @module testing
+ */
+
+/**
+ * Generator for tests: small placeholder images served from an InMemoryStorage, a fixed seed
+ * and a temporary output folder
+ * @param {Object} config - Generator configuration; also `traits` and `size` for the placeholders
+ * @returns {Generator} Generator; its `storage` is the InMemoryStorage
+ */
+function createTestGenerator(config = {}) {
+  const {
+    species = fixtures.createSpecies(),
+    layerConfig = fixtures.createLayerConfig(),
+    traits,
+    size,
+    ...rest
+  } = config;
+
+  return new Generator({
+    width: 64,
+    height: 64,
+    seed: 'test',
+    outputFolder: `${fs.mkdtempSync(path.join(os.tmpdir(), 'sb-generator-test-'))}${path.sep}`,
+    storage: new InMemoryStorage({ placeholders: { species, layerConfig, traits, size } }),
+    ...rest,
+    species,
+    layerConfig
+  });
+}
+
+module.exports = {
+  InMemoryStorage,
+  createTestGenerator,
+  runConformance,
+  ...fixtures
+};
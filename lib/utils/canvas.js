@@ -0,0 +1,22 @@
+/**
+ * The canvas functions the generator draws with, loaded on first use. canvas is a native
+ * module, so the modules that only select traits (plans, rarity reports, the CLI) require this
+ * one instead and work where canvas isn't built
+ * @module canvas
+ */
+module.exports = {
+  /**
+   * Create a canvas
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Canvas} Canvas
+   */
+  createCanvas: (width, height) => require('canvas').createCanvas(width, height),
+
+  /**
+   * Decode an image
+   * @param {Buffer|string} source - Image bytes, path or URL
+   * @returns {Promise<Image>} Decoded image
+   */
+  loadImage: (source) => require('canvas').loadImage(source)
+};
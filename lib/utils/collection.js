@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helpers for reading a generated collection back from the output folder
+ * @module collection
+ */
+
+// Metadata files written by generateNFT(): <species>_nft_<id>.json
+const METADATA_PATTERN = /^(.+)_nft_(\d+)\.json$/;
+// ERC-1155 metadata files: <id as 64 hex digits>.json, with the species in the attributes
+const HEX_METADATA_PATTERN = /^([0-9a-f]{64})\.json$/;
+
+module.exports = {
+  /**
+   * Read all NFT metadata files in a folder
+   * @param {string} folder - Output folder of a generator run
+   * @returns {Array<Object>} Entries with `file`, `species`, `id` and `metadata`, sorted by id
+   */
+  readCollection: (folder) => {
+    if (!fs.existsSync(folder)) {
+      return [];
+    }
+
+    const entries = [];
+
+    for (const fileName of fs.readdirSync(folder)) {
+      const match = fileName.match(METADATA_PATTERN);
+      const hexMatch = !match && fileName.match(HEX_METADATA_PATTERN);
+      if (!match && !hexMatch) continue;
+
+      const file = path.join(folder, fileName);
+      try {
+        const metadata = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (match) {
+          entries.push({ file, species: match[1], id: parseInt(match[2], 10), metadata });
+        } else {
+          const species = (metadata.attributes || []).find(attribute => attribute.trait_type === 'species');
+          entries.push({ file, species: species ? species.value : null, id: parseInt(hexMatch[1], 16), metadata });
+        }
+      } catch (error) {
+        console.error(`[readCollection] Skipping unreadable metadata file ${file}: ${error.message}`);
+      }
+    }
+
+    return entries.sort((a, b) => a.id - b.id);
+  },
+
+  /**
+   * The files generateNFT() wrote for a token: `<species>_nft_<id>.png` and its `_pixelated`,
+   * `_animated`, rendition and `.svg` siblings
+   * @param {Array<string>} fileNames - File names in the output folder
+   * @param {string} species - Token species
+   * @param {number} id - Token id
+   * @returns {Array<string>} Sorted file names
+   */
+  findTokenFiles: (fileNames, species, id) => {
+    const prefix = `${species}_nft_${id}`;
+    return fileNames
+      .filter(fileName => (fileName.startsWith(`${prefix}.`) || fileName.startsWith(`${prefix}_`)) && !fileName.endsWith('.json'))
+      .filter(fileName => /^[^.]*\.[a-z]+$/i.test(fileName.slice(prefix.length)))
+      .sort();
+  }
+};
@@ -0,0 +1,341 @@
+const path = require('path');
+
+/**
+ * Component file helpers shared by the storage providers
+ * @module components
+ */
+
+// Matches a rarity weight suffix such as "gold_crown#2" or "plain_cap#12.5"
+const WEIGHT_PATTERN = /^(.*)#(\d+(?:\.\d+)?)$/;
+
+const IMAGE_EXTENSIONS = ['.png', '.svg', '.jpg', '.jpeg'];
+
+// Optional component manifest in a layer folder or at the root of the components bucket
+const COMPONENT_MANIFEST = 'manifest.json';
+
+module.exports = {
+  COMPONENT_MANIFEST,
+
+  /**
+   * Parse a component file name into its trait value and rarity weight
+   * @param {string} fileName - Component file name (e.g. "gold_crown#2.png")
+   * @param {boolean} isFolder - Whether the component is a folder of animation frames (no extension)
+   * @returns {Object} Parsed name with `trait`, `weight` and `extension`
+   */
+  parseComponentName: (fileName, isFolder = false) => {
+    const extension = isFolder ? '' : path.extname(fileName).toLowerCase();
+    const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
+    const match = baseName.match(WEIGHT_PATTERN);
+
+    if (match) {
+      return { trait: match[1], weight: parseFloat(match[2]), extension };
+    }
+    return { trait: baseName, weight: 1, extension };
+  },
+
+  /**
+   * Find a component's sidecar metadata file: "hat#2.png" pairs with "hat#2.json" or "hat.json"
+   * @param {string} fileName - Component file name
+   * @param {Set<string>} fileNames - All file names in the component's folder
+   * @param {boolean} isFolder - Whether the component is a folder of animation frames
+   * @returns {string|null} Sidecar file name, if there is one
+   */
+  findSidecar: (fileName, fileNames, isFolder = false) => {
+    const extension = isFolder ? '' : path.extname(fileName);
+    const baseName = extension ? fileName.slice(0, -extension.length) : fileName;
+    const trait = module.exports.parseComponentName(fileName, isFolder).trait;
+
+    for (const candidate of [`${baseName}.json`, `${trait}.json`]) {
+      if (candidate !== COMPONENT_MANIFEST && fileNames.has(candidate)) return candidate;
+    }
+    return null;
+  },
+
+  /**
+   * Parse a component manifest:
+   * `{ "components": { "<file, folder or trait>": { name, weight, tags, enabled, ...sidecar keys } } }`
+   * @param {Buffer|string} content - Manifest content
+   * @param {string} source - Manifest path, for error messages
+   * @returns {Object} Entries by component key
+   */
+  parseComponentManifest: (content, source = COMPONENT_MANIFEST) => {
+    let manifest;
+    try {
+      manifest = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid component manifest ${source}: ${error.message}`);
+    }
+
+    const entries = manifest && manifest.components;
+    if (!isPlainObject(entries)) {
+      throw new Error(`Invalid component manifest ${source}: expected a "components" object`);
+    }
+    for (const [key, entry] of Object.entries(entries)) {
+      const problem = checkManifestEntry(entry);
+      if (problem) {
+        throw new Error(`Invalid component manifest ${source}: entry "${key}" ${problem}`);
+      }
+    }
+    return entries;
+  },
+
+  /**
+   * Apply component manifests to a layer's listing. Disabled components are dropped; display
+   * names, weights and tags replace the ones from the file names, and the other keys of an entry
+   * become `overrides` of the component's sidecar metadata (e.g. `placement`). Entries are keyed
+   * by file or folder name, or by trait; bucket manifest keys start with the layer path. The layer
+   * manifest wins over the bucket manifest key by key
+   * @param {Array<Object>} components - Components of the layer, as listed from the file names
+   * @param {string} layerPath - Layer path, `<species>/<category>`
+   * @param {Object} manifests - Parsed `bucket` and `layer` manifests; either may be null
+   * @returns {Array<Object>} The enabled components
+   */
+  applyComponentManifest: (components, layerPath, manifests = {}) => {
+    const { bucket = null, layer = null } = manifests;
+    if (!bucket && !layer) return components;
+
+    return components
+      .map(component => {
+        const entry = {
+          ...findEntry(bucket, [`${layerPath}/${component.name}`, `${layerPath}/${component.trait}`]),
+          ...findEntry(layer, [component.name, component.trait])
+        };
+        if (entry.enabled === false) return null;
+
+        const { name, weight, tags, enabled, ...overrides } = entry;
+        const applied = { ...component };
+        if (name !== undefined) applied.trait = name;
+        if (weight !== undefined) applied.weight = weight;
+        if (tags !== undefined) applied.tags = tags;
+        if (Object.keys(overrides).length > 0) applied.overrides = overrides;
+        return applied;
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * A layer's component listing from the paths of its files, shared by the storage providers:
+   * images are components, the images of a subfolder are the frames of an animated component
+   * (e.g. `blink/001.png`, `blink/002.png`, ...) and `<name>.json` files are sidecars. Sorted by
+   * name so seeded selection doesn't depend on listing order, with the component manifests applied
+   * @param {Array<string>} entries - Paths of the layer's files relative to the layer folder;
+   *   files deeper than one subfolder are ignored
+   * @param {Object} options - Listing options
+   * @param {Function} options.urlFor - URL of a path relative to the layer folder
+   * @param {string} options.layerPath - Layer path (`species/category`), for the bucket manifest
+   * @param {Object} options.manifests - `{ bucket, layer }` component manifests, see applyComponentManifest()
+   * @returns {Array<Object>} Components (`url`, `type`, `name`, `trait`, `weight`, `frames`, `sidecarUrl`)
+   */
+  buildListing: (entries, options) => {
+    const { urlFor, layerPath, manifests = {} } = options;
+    const { parseComponentName, findSidecar, isImageFile, sortFrames } = module.exports;
+    const fileNames = new Set(entries.filter(entry => !entry.includes('/')));
+    const sidecarUrl = (name, isFolder) => {
+      const sidecar = findSidecar(name, fileNames, isFolder);
+      return sidecar ? urlFor(sidecar) : undefined;
+    };
+
+    const components = [...fileNames]
+      .filter(isImageFile)
+      .map(fileName => {
+        const { trait, weight, extension } = parseComponentName(fileName);
+        return {
+          url: urlFor(fileName),
+          type: extension === '.svg' ? 'svg' : 'bitmap',
+          name: fileName,
+          trait,
+          weight,
+          sidecarUrl: sidecarUrl(fileName)
+        };
+      });
+
+    // Only direct children of a subfolder are frames
+    const folders = new Map();
+    for (const entry of entries) {
+      const [folder, ...rest] = entry.split('/');
+      if (rest.length !== 1 || !isImageFile(rest[0])) continue;
+      if (!folders.has(folder)) folders.set(folder, []);
+      folders.get(folder).push(rest[0]);
+    }
+    for (const [folder, frameNames] of folders) {
+      const { trait, weight } = parseComponentName(folder, true);
+      const sorted = sortFrames(frameNames);
+      const frames = sorted.map(frameName => urlFor(`${folder}/${frameName}`));
+      components.push({
+        url: frames[0],
+        type: parseComponentName(sorted[0]).extension === '.svg' ? 'svg' : 'bitmap',
+        name: folder,
+        trait,
+        weight,
+        frames,
+        sidecarUrl: sidecarUrl(folder, true)
+      });
+    }
+
+    components.sort((a, b) => a.name.localeCompare(b.name));
+    return module.exports.applyComponentManifest(components, layerPath, manifests);
+  },
+
+  /**
+   * Pick a component for a layer, preferring SVG for base and feature layers
+   * and honoring rarity weights
+   * @param {Array<Object>} files - Candidate components (`name`, `type`, `trait`, `weight`)
+   * @param {Object} layerInfo - Layer information; `layerInfo.weights` maps trait values to weights
+   * @param {Function} random - Random number generator
+   * @returns {Object|null} Selected component, or null if no candidate has a positive weight
+   */
+  selectComponent: (files, layerInfo, random) => {
+    const selected = pickWeighted(module.exports.componentWeights(files, layerInfo), candidate => candidate.weight, random);
+    return selected ? selected.component : null;
+  },
+
+  /**
+   * The candidates selectComponent() picks from, with their weights: SVG only for base and
+   * feature layers that have SVGs; the layer's weights manifest wins over the component's weight
+   * @param {Array<Object>} files - Components (`name`, `type`, `trait`, `weight`)
+   * @param {Object} layerInfo - Layer information; `layerInfo.weights` maps trait values to weights
+   * @returns {Array<Object>} `{ component, weight }` for each candidate
+   */
+  componentWeights: (files, layerInfo) => {
+    const { type, weights = {} } = layerInfo;
+    let candidates = files;
+
+    if ((type === 'base' || type === 'feature') && files.some(f => f.type === 'svg')) {
+      candidates = files.filter(f => f.type === 'svg');
+    }
+
+    return candidates.map(file => ({ component: file, weight: Math.max(0, Number(getWeight(file, weights)) || 0) }));
+  },
+
+  /**
+   * Components a layer can use: with layer `tags`, only the components tagged (in a component
+   * manifest) with one of them
+   * @param {Array<Object>} components - Components of the layer
+   * @param {Object} layerInfo - Layer information
+   * @returns {Array<Object>} Usable components
+   */
+  filterTagged: (components, layerInfo) => {
+    const { tags } = layerInfo;
+    if (!tags) return components;
+    return components.filter(component => (component.tags || []).some(tag => tags.includes(tag)));
+  },
+
+  /**
+   * Pick a layer's component from a provider's listing: apply the caller's filter, then
+   * selectComponent(). A layer without components, or with only zero-weight components, throws
+   * unless the layer is optional; a filter that rejects every component leaves the layer empty.
+   * @param {Array<Object>} components - Components from the provider's listComponents()
+   * @param {Object} layerInfo - Layer information
+   * @param {string} species - Species name, for error messages
+   * @param {Object} options - `random` (default: Math.random) and `filter`
+   * @returns {Object|null} Selected component with the layer's `category` and `type`
+   */
+  chooseComponent: (components, layerInfo, species, options = {}) => {
+    const { category, type, optional = false, tags } = layerInfo;
+    const { random = Math.random, filter } = options;
+    const layerPath = `${species}/${category}`;
+
+    components = module.exports.filterTagged(components, layerInfo);
+
+    if (components.length === 0) {
+      if (optional) return null;
+      throw new Error(`No components found for layer: ${layerPath}${tags ? ` tagged ${tags.join(', ')}` : ''}`);
+    }
+
+    // Candidates rejected by the caller's filter (e.g. trait rules) leave the layer empty
+    const candidates = filter ? components.filter(filter) : components;
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const selected = module.exports.selectComponent(candidates, layerInfo, random);
+    if (!selected) {
+      if (optional) return null;
+      throw new Error(`All components have zero weight for layer: ${layerPath}`);
+    }
+
+    const { url, name, trait, weight, sidecarUrl, frames, tags: componentTags, overrides } = selected;
+    return { url, name, trait, weight, sidecarUrl, frames, tags: componentTags, overrides, category, type };
+  },
+
+  /**
+   * Whether a file is a supported component image (PNG, SVG or JPEG)
+   * @param {string} fileName - File name or key
+   * @returns {boolean}
+   */
+  isImageFile: (fileName) => IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase()),
+
+  /**
+   * Sort animation frame file names so "frame2" comes before "frame10"
+   * @param {Array<string>} frameNames - Frame file names
+   * @returns {Array<string>} Sorted copy
+   */
+  sortFrames: (frameNames) => [...frameNames].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+
+  pickWeighted
+};
+
+/**
+ * Resolve a component's weight; the layer's weights manifest wins over the file name
+ * @private
+ */
+function getWeight(file, weights) {
+  if (weights[file.trait] !== undefined) return weights[file.trait];
+  if (weights[file.name] !== undefined) return weights[file.name];
+  return file.weight !== undefined ? file.weight : 1;
+}
+
+/**
+ * Entry of the first key a manifest has; none without a manifest
+ * @private
+ */
+function findEntry(entries, keys) {
+  if (!entries) return {};
+  const key = keys.find(candidate => Object.prototype.hasOwnProperty.call(entries, candidate));
+  return key === undefined ? {} : entries[key];
+}
+
+/**
+ * What is wrong with a component manifest entry, if anything
+ * @private
+ */
+function checkManifestEntry(entry) {
+  if (!isPlainObject(entry)) return 'must be an object';
+  if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name)) return 'needs a non-empty string name';
+  if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight >= 0)) return 'needs a non-negative numeric weight';
+  if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string'))) return 'needs tags as a list of strings';
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') return 'needs enabled to be true or false';
+  return null;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Pick an item with probability proportional to its weight
+ * @param {Array} items - Items to pick from
+ * @param {Function} getItemWeight - Returns the weight of an item
+ * @param {Function} random - Random number generator
+ * @returns {*} Selected item, or null if the total weight is zero
+ */
+function pickWeighted(items, getItemWeight, random) {
+  const itemWeights = items.map(item => Math.max(0, Number(getItemWeight(item)) || 0));
+  const total = itemWeights.reduce((sum, weight) => sum + weight, 0);
+
+  if (total <= 0) return null;
+
+  let threshold = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    threshold -= itemWeights[i];
+    if (threshold < 0) return items[i];
+  }
+  // Guard against floating point drift: fall back to the last item with a positive weight
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (itemWeights[i] > 0) return items[i];
+  }
+  return null;
+}
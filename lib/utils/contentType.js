@@ -0,0 +1,28 @@
+const path = require('path');
+
+/**
+ * Content types for files uploaded to storage
+ * @module contentType
+ */
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.json': 'application/json'
+};
+
+module.exports = {
+  /**
+   * Content type of a file, from its extension
+   * @param {string} fileName - File name or path
+   * @returns {string} Content type (default: application/octet-stream)
+   */
+  getContentType: (fileName) => CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream',
+
+  CONTENT_TYPES
+};
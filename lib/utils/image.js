@@ -1,5 +1,6 @@
 const Jimp = require('jimp');
 const fs = require('fs');
+const { pixelArt, resolvePixelArtOptions } = require('../pixelart');
 
 /**
  * Image utility functions
@@ -28,6 +29,45 @@ module.exports = {
     }
   },
   
+  /**
+   * Convert an image to pixel art: grid downscale, palette quantization, optional dithering
+   * and outline (see the pixelart module). Transparent areas of the input are outlined.
+   * @param {string} inputPath - Path to input image
+   * @param {string} outputPath - Path to save the pixel art
+   * @param {Object} options - Pixel-art options (`grid`, `palette`, `colors`, `dither`, `outline`)
+   * @returns {Promise<string>} Path to the pixel art
+   */
+  pixelArt: async (inputPath, outputPath, options = {}) => {
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`Input file does not exist: ${inputPath}`);
+    }
+    
+    const settings = resolvePixelArtOptions(options);
+    try {
+      const image = await Jimp.read(inputPath);
+      const { width, height, data } = image.bitmap;
+      image.bitmap.data = pixelArt({ data, width, height }, settings).data;
+      await image.writeAsync(outputPath);
+      return outputPath;
+    } catch (error) {
+      throw new Error(`Failed to convert image to pixel art: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Pixelate raw RGBA pixel data, e.g. a frame of an animation
+   * @param {Buffer} data - RGBA pixel data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} pixelSize - Size of pixels (default: 8)
+   * @returns {Buffer} Pixelated RGBA pixel data
+   */
+  pixelateFrame: (data, width, height, pixelSize = 8) => {
+    const image = new Jimp({ data: Buffer.from(data), width, height });
+    image.pixelate(pixelSize);
+    return image.bitmap.data;
+  },
+  
   /**
    * Create a texture from a heightmap
    * @param {Buffer|string} heightmap - Heightmap image buffer or path
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded random number utilities
+ * @module random
+ */
+module.exports = {
+  /**
+   * Create a seeded pseudo-random number generator
+   * @param {string|number} seed - Seed value (any string or number)
+   * @returns {Function} Function returning a float in [0, 1), like Math.random
+   */
+  createRandom: (seed) => {
+    let state = hashSeed(String(seed));
+
+    // mulberry32
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Generate a fresh seed for runs that don't specify one
+   * @returns {string} Random hex seed
+   */
+  generateSeed: () => crypto.randomBytes(8).toString('hex'),
+
+  /**
+   * Pick a random item from a list
+   * @param {Function} random - Random number generator
+   * @param {Array} items - Items to pick from
+   * @returns {*} Selected item
+   */
+  pick: (random, items) => items[Math.floor(random() * items.length)]
+};
+
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a followed by a murmur3 mix)
+ * @private
+ */
+function hashSeed(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xC2B2AE35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
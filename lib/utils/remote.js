@@ -0,0 +1,48 @@
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+
+/**
+ * Helpers for reading component resources by URL or local path
+ * @module remote
+ */
+module.exports = {
+  /**
+   * Read a resource's bytes
+   * @param {string} location - http(s) URL, file:// URL or local path
+   * @returns {Promise<Buffer>} File content
+   */
+  readFile: async (location) => {
+    if (/^https?:\/\//i.test(location)) {
+      const fetchFn = await module.exports.getFetch();
+      const response = await fetchFn(location);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${location}: ${response.status} ${response.statusText}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    }
+
+    const filePath = location.startsWith('file:') ? fileURLToPath(location) : location;
+    return fs.readFileSync(filePath);
+  },
+
+  /**
+   * The fetch implementation: Node 18+ ships fetch; older runtimes fall back to node-fetch
+   * @returns {Promise<Function>} fetch
+   */
+  getFetch: async () => (typeof fetch === 'function' ? fetch : (await import('node-fetch')).default),
+
+  /**
+   * Read and parse a JSON document
+   * @param {string} location - http(s) URL, file:// URL or local path
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  readJson: async (location) => JSON.parse((await module.exports.readFile(location)).toString('utf8')),
+
+  /**
+   * Join a base URL and a relative path, encoding each path segment
+   * @param {string} baseUrl - Base URL, with or without a trailing slash
+   * @param {string} relative - Slash-separated path, e.g. 'indigo/hats/cap#2.png'
+   * @returns {string} URL
+   */
+  joinUrl: (baseUrl, relative) => `${baseUrl.replace(/\/+$/, '')}/${relative.split('/').map(encodeURIComponent).join('/')}`
+};
@@ -0,0 +1,132 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const AssetCache = require('../assets');
+
+/**
+ * Worker thread pool rendering NFTs in parallel
+ *
+ * The calling thread prepares each NFT (species, components, DNA) and sends the job to a
+ * worker, which renders it with a Generator of its own built from the render settings of the
+ * calling one (see workers/render.js). Uploads and metadata stay in the calling thread. The
+ * workers split the asset cache's memory limit between them.
+ * @module pool
+ */
+
+class WorkerPool {
+  /**
+   * Create a worker pool; workers start when the first jobs arrive
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Number of workers (default: number of CPUs)
+   * @param {Object} options.config - Generator settings of the workers, see Generator#getRenderConfig()
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || os.cpus().length);
+    this.config = splitAssetCache(options.config || {}, this.size);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.closed = false;
+  }
+
+  /**
+   * Render a prepared NFT on the next free worker
+   * @param {Object} job - Job returned by Generator#prepareNFT()
+   * @param {Map<string, Buffer>} assets - Component bytes by URL, for URLs only the calling
+   *   thread can read (e.g. memory:// of InMemoryStorage)
+   * @returns {Promise<Object>} Result of Generator#renderNFT()
+   */
+  run(job, assets = null) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, assets, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Stop the workers; jobs still queued are rejected
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('Worker pool is closed'));
+    }
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  /**
+   * Hand queued jobs to idle workers, starting workers up to the pool size
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) {
+        this.idle.push(this._spawn());
+      }
+      if (this.idle.length === 0) {
+        return;
+      }
+
+      const worker = this.idle.shift();
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.postMessage({ job: task.job, assets: task.assets });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _spawn() {
+    const worker = new Worker(path.join(__dirname, 'render.js'), { workerData: { config: this.config } });
+
+    worker.on('message', ({ result, error }) => {
+      const { task } = worker;
+      worker.task = null;
+      this.idle.push(worker);
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+      this._dispatch();
+    });
+
+    // A crashed worker fails its job and is replaced on the next dispatch
+    const fail = (error) => {
+      if (!this.workers.includes(worker)) return;
+      this.workers.splice(this.workers.indexOf(worker), 1);
+      this.idle = this.idle.filter(other => other !== worker);
+      if (worker.task) {
+        worker.task.reject(error);
+        worker.task = null;
+      }
+      if (!this.closed) this._dispatch();
+    };
+    worker.on('error', fail);
+    worker.on('exit', (code) => fail(new Error(`Render worker stopped with exit code ${code}`)));
+
+    this.workers.push(worker);
+    return worker;
+  }
+}
+
+/**
+ * Worker settings with the asset cache's decoded-bytes limit shared out between the workers
+ * @private
+ */
+function splitAssetCache(config, size) {
+  if (config.assetCache === false) {
+    return config;
+  }
+  const { maxBytes = AssetCache.DEFAULT_OPTIONS.maxBytes } = config.assetCache || {};
+  return { ...config, assetCache: { ...config.assetCache, maxBytes: Math.floor(maxBytes / size) } };
+}
+
+module.exports = WorkerPool;
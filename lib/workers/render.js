@@ -0,0 +1,52 @@
+const { parentPort, workerData } = require('worker_threads');
+const Generator = require('../generator');
+const AssetCache = require('../assets');
+
+/**
+ * Render worker of the worker pool (see workers/pool.js)
+ *
+ * Receives `{ job, assets }` messages, renders the job with Generator#renderNFT() and replies
+ * with `{ result }` or `{ error }`. Component bytes sent along with a job are read while it
+ * renders; other URLs are read as usual. Decoded images stay in the worker's asset cache.
+ * @module render
+ */
+
+// Component bytes of the job being rendered; a worker renders one job at a time and every job
+// brings the bytes of all its components
+let assets = new Map();
+const { config } = workerData;
+
+const generator = new Generator({
+  ...config,
+  assetCache: new AssetCache({
+    ...(config.assetCache === false ? { maxImages: 0 } : config.assetCache),
+    readFile: config.readsAssets ? url => readAsset(url) : null
+  })
+});
+
+parentPort.on('message', async ({ job, assets: jobAssets }) => {
+  assets = new Map();
+  if (jobAssets) {
+    for (const [url, content] of jobAssets) {
+      assets.set(url, Buffer.from(content));
+    }
+  }
+
+  try {
+    parentPort.postMessage({ result: await generator.renderNFT(job) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  } finally {
+    assets = new Map();
+  }
+});
+
+/**
+ * @private
+ */
+async function readAsset(url) {
+  if (!assets.has(url)) {
+    throw new Error(`No bytes were sent to the render worker for ${url}`);
+  }
+  return assets.get(url);
+}
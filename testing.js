@@ -0,0 +1,2 @@
+// Entry point of `require('sb_generator/testing')`, see lib/testing
+module.exports = require('./lib/testing');